@@ -8,7 +8,7 @@
  * JS mode is chosen automatically (JS ON vs OFF) by the engine.
  */
 
-import { Command } from 'commander';
+import { Command, Option } from 'commander';
 import chalk from 'chalk';
 import dotenv from 'dotenv';
 import fs from 'fs';
@@ -47,6 +47,102 @@ function loadEnvWithPriority() {
 // Load env files before reading options
 loadEnvWithPriority();
 
+// Extra output formats accepted by --format (the rewritten folder is always written)
+const OUTPUT_FORMATS = ['warc', 'wacz', 'mhtml'];
+
+function parseFormats(value) {
+  const formats = String(value || '')
+    .split(',')
+    .map((f) => f.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = formats.filter((f) => !OUTPUT_FORMATS.includes(f));
+  if (unknown.length) {
+    throw new Error(
+      `Unknown --format value(s): ${unknown.join(', ')} (expected ${OUTPUT_FORMATS.join(', ')})`,
+    );
+  }
+  return [...new Set(formats)];
+}
+
+// Variant formats accepted by --optimize-images
+const IMAGE_FORMATS = ['avif', 'webp'];
+
+function parseImageFormats(value) {
+  if (!value) return false;
+  if (value === true) return [...IMAGE_FORMATS];
+  const formats = String(value)
+    .split(',')
+    .map((f) => f.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = formats.filter((f) => !IMAGE_FORMATS.includes(f));
+  if (unknown.length || !formats.length) {
+    throw new Error(
+      `Unknown --optimize-images format(s): ${unknown.join(', ') || value} (expected ${IMAGE_FORMATS.join(', ')})`,
+    );
+  }
+  return [...new Set(formats)];
+}
+
+// --api-stub: "passthrough", a status code, or a JSON file with { status, headers, body }
+function parseApiStub(value) {
+  if (!value || value === 'passthrough') return null;
+  if (/^\d{3}$/.test(value)) {
+    return { status: parseInt(value), headers: {}, body: '' };
+  }
+  const file = path.resolve(value);
+  if (!fs.existsSync(file)) {
+    throw new Error(
+      `Invalid --api-stub value: ${value} (expected passthrough, a status code or a JSON file)`,
+    );
+  }
+  const spec = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const body = spec.body ?? '';
+  const headers = spec.headers || {};
+  if (typeof body !== 'string' && !headers['content-type']) {
+    headers['content-type'] = 'application/json';
+  }
+  return {
+    status: parseInt(spec.status) || 200,
+    headers,
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  };
+}
+
+// --js: auto (preflight decides), on or off
+function parseJsMode(value) {
+  const mode = String(value || 'auto').trim().toLowerCase();
+  if (!['auto', 'on', 'off'].includes(mode)) {
+    throw new Error(`Invalid --js value: ${value} (expected on, off or auto)`);
+  }
+  return mode;
+}
+
+// --replay-streams [mode]: loop (default) or once
+function parseStreamMode(value) {
+  if (!value) return false;
+  if (value === true) return 'loop';
+  const mode = String(value).trim().toLowerCase();
+  if (mode !== 'loop' && mode !== 'once') {
+    throw new Error(
+      `Invalid --replay-streams value: ${value} (expected loop or once)`,
+    );
+  }
+  return mode;
+}
+
+// --min-fidelity accepts a ratio (0.95) or a percentage (95)
+function parseFidelity(value) {
+  if (value === undefined) return null;
+  let ratio = parseFloat(value);
+  if (ratio > 1) ratio /= 100;
+  if (!Number.isFinite(ratio) || ratio < 0 || ratio > 1) {
+    throw new Error(
+      `Invalid --min-fidelity value: ${value} (expected 0-1, e.g. 0.95)`,
+    );
+  }
+  return ratio;
+}
+
 /**
  * Validate and configure AI API key for AI features.
  * Priority: 
@@ -152,6 +248,16 @@ program
     'OpenAI API key for AI features (overrides env for this run)',
   )
   .option('--debug', 'Enable detailed debug logging and error traces', false)
+  .option(
+    '--js <mode>',
+    'JavaScript in the mirror: auto (preflight decides), on or off',
+    'auto',
+  )
+  .option(
+    '--keep-both',
+    'Also write the other JS mode (index.static.html or index.js.html) and a compare.html toggle page',
+    false,
+  )
   .option(
     '--timeout <ms>',
     'Browser page load timeout in milliseconds',
@@ -162,6 +268,96 @@ program
     'Run browser in headless mode (true/false)',
     'true',
   )
+  .option(
+    '--depth <n>',
+    'Follow links this many levels deep and mirror each page (0 = single page)',
+    '0',
+  )
+  .option(
+    '--max-pages <n>',
+    'Maximum number of pages to mirror when crawling',
+    '50',
+  )
+  .addOption(
+    new Option(
+      '--same-origin',
+      'Only crawl pages on the exact origin of the target URL (default)',
+    ).conflicts('includeSubdomains'),
+  )
+  .addOption(
+    new Option(
+      '--include-subdomains',
+      'Also crawl pages on subdomains of the target site',
+    ).conflicts('sameOrigin'),
+  )
+  .option(
+    '--sitemap [url]',
+    'Seed the crawl from sitemap.xml (robots.txt Sitemap lines or /sitemap.xml unless a URL is given)',
+  )
+  .option(
+    '--respect-robots',
+    'Obey robots.txt Disallow/Crawl-delay and noarchive directives',
+    true,
+  )
+  .option('--no-respect-robots', 'Ignore robots.txt and noarchive directives')
+  .option(
+    '--no-network-capture',
+    'Re-download every asset with a plain HTTP client instead of reusing what the browser loaded',
+  )
+  .option(
+    '--replay-api',
+    'Record fetch/XHR API responses and replay them in the JS-enabled mirror',
+    false,
+  )
+  .option(
+    '--api-stub <spec>',
+    'Response for unmatched API calls with --replay-api: passthrough, a status code, or a JSON file',
+    'passthrough',
+  )
+  .option(
+    '--no-astro-islands',
+    'Astro sites: keep all scripts (or none) instead of only the <astro-island> modules',
+  )
+  .option(
+    '--detectors <file>',
+    'Extra framework detectors from a JSON, YAML or JS rules file (patterns, strategy, jsMode)',
+  )
+  .option(
+    '--replay-streams [mode]',
+    'Record WebSocket/EventSource messages and replay them in the JS-enabled mirror (loop or once, default: loop)',
+  )
+  .option(
+    '--screenshot',
+    'Save full-page screenshots (live site and offline mirror) plus thumbnails',
+    false,
+  )
+  .option(
+    '--min-fidelity <ratio>',
+    'Pixel-diff the live page against the mirror; fail the run below this score (e.g. 0.95)',
+  )
+  .option(
+    '--optimize-images [formats]',
+    'Re-encode images to smaller AVIF/WebP variants served via <picture> (default: avif,webp)',
+  )
+  .option(
+    '--image-quality <n>',
+    'Encoder quality for --optimize-images (1-100)',
+    '75',
+  )
+  .option(
+    '--image-max-size <px>',
+    'Downscale images whose width or height exceeds this (--optimize-images)',
+    '2560',
+  )
+  .option(
+    '--single-file',
+    'Also write one self-contained .html with every asset inlined as data URIs',
+    false,
+  )
+  .option(
+    '--format <list>',
+    `Also write archive formats next to the mirror folder, comma-separated (${OUTPUT_FORMATS.join(', ')})`,
+  )
   .action(async (url, options) => {
     try {
       if (!url.startsWith('http')) url = 'https://' + url;
@@ -177,8 +373,31 @@ program
         ai: aiEnabled,
         aiModel: options.aiModel,
         debug: options.debug,
+        jsMode: parseJsMode(options.js),
+        keepBoth: options.keepBoth,
         timeout: parseInt(options.timeout),
         headless: options.headless !== 'false',
+        depth: Math.max(0, parseInt(options.depth) || 0),
+        maxPages: Math.max(1, parseInt(options.maxPages) || 50),
+        crawlScope: options.includeSubdomains ? 'subdomains' : 'origin',
+        sitemap: options.sitemap || false,
+        respectRobots: options.respectRobots !== false,
+        formats: parseFormats(options.format),
+        singleFile: options.singleFile,
+        networkCapture: options.networkCapture !== false,
+        replayApi: options.replayApi,
+        apiStub: parseApiStub(options.apiStub),
+        replayStreams: parseStreamMode(options.replayStreams),
+        astroIslands: options.astroIslands !== false,
+        detectors: options.detectors || null,
+        screenshot: options.screenshot,
+        minFidelity: parseFidelity(options.minFidelity),
+        optimizeImages: parseImageFormats(options.optimizeImages),
+        imageQuality: Math.min(
+          100,
+          Math.max(1, parseInt(options.imageQuality) || 75),
+        ),
+        imageMaxSize: Math.max(1, parseInt(options.imageMaxSize) || 2560),
       };
 
       const cloner = new MirrorCloner(url, config);
@@ -204,6 +423,8 @@ program.addHelpText(
 
 Automatic JS mode:
   • You only provide the URL. The tool preflights the site and decides whether to keep JS ON or use a static snapshot (JS OFF).
+  • --js on|off forces the mode; preflight-report.json explains the decision (metrics, console errors, rule that fired).
+  • --keep-both writes the other mode next to index.html plus compare.html to switch between them.
 
 AI setup:
   • The CLI looks for OPENAI_API_KEY in this order:
@@ -212,8 +433,19 @@ AI setup:
     3) .env.local (overrides .env)
     4) .env
 
+Crawling:
+  • --depth 2 mirrors the page plus everything linked up to two clicks away, each as path/index.html.
+  • Assets are shared across pages; links between mirrored pages point at the local copies.
+  • --sitemap seeds the crawl from sitemap.xml (indexes and .xml.gz included).
+  • robots.txt Disallow, Crawl-delay and noarchive are honored unless --no-respect-robots is passed;
+    skipped URLs are listed in the summary.
+
 Examples:
   mirror-web-cli https://hitesh.ai --ai
+  mirror-web-cli https://example.com --depth 2 --max-pages 30
+  mirror-web-cli https://example.com --format warc,wacz
+  mirror-web-cli https://example.com --format mhtml
+  mirror-web-cli https://example.com --single-file
   mirror-web-cli https://piyushgarg.dev --ai --openai-key "sk-..."
 `,
 );
@@ -0,0 +1,423 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+import { injectReplayShim, writeReplayData } from './replay-injector.js';
+
+const DATA_FILE = 'api-replay.js';
+const GRAPHQL_REPORT = 'graphql-operations.json';
+
+/**
+ * API Replay - Turns the fetch/XHR exchanges NetworkRecorder saw during page
+ * loads into a recordings file keyed by method, URL and a hash of the
+ * request body, and injects a shim that answers matching fetch() and
+ * XMLHttpRequest calls from it in JS-enabled mirrors. Unmatched API calls go
+ * to the network, or get the configured stub response (--api-stub).
+ * GraphQL requests (one endpoint, many operations) are keyed by operation
+ * name or persisted-query hash plus their variables instead.
+ */
+export class ApiReplay {
+  constructor(cloner) {
+    this.cloner = cloner;
+    this.recordings = {}; // "METHOD url bodyHash" -> { status, statusText, headers, body, base64 }
+    this.graphql = {}; // "operation variablesHash" -> recording
+    this.operations = []; // graphql-operations.json entries
+    this.file = null;
+    this.reportFile = null;
+  }
+
+  isEnabled() {
+    return !!this.cloner.options.replayApi && !this.cloner.options.disableJs;
+  }
+
+  collect() {
+    this.recordings = {};
+    this.graphql = {};
+    this.operations = [];
+    for (const entry of this.cloner.networkRecorder.entries) {
+      if (entry.source !== 'browser' || !this.isApiExchange(entry)) continue;
+      const response = this.finalResponse(entry);
+      if (!response) continue;
+      const ops = graphqlOperations(entry.method, entry.url, entry.postData);
+      if (ops) {
+        this.collectGraphql(entry, ops, response);
+        continue;
+      }
+      const key = replayKey(entry.method, entry.url, entry.postData);
+      if (!this.recordings[key]) this.recordings[key] = toRecording(response);
+    }
+    return this.recordings;
+  }
+
+  // fetch() follows redirects, so a 3xx is replayed as the response it led to (null when that wasn't captured)
+  finalResponse(entry) {
+    const entries = this.cloner.networkRecorder.entries;
+    let current = entry;
+    for (let hops = 0; hops < 5; hops++) {
+      const location = current.headers.location;
+      if (current.status < 300 || current.status >= 400) return current;
+      if (!location) return null;
+      let next;
+      try {
+        next = new URL(location, current.url).href.split('#')[0];
+      } catch {
+        return null;
+      }
+      // 307/308 repeat the request; other redirects continue with a GET
+      const method =
+        current.status === 307 || current.status === 308
+          ? current.method
+          : 'GET';
+      current = entries.find(
+        (e) => e.source === 'browser' && e.url === next && e.method === method,
+      );
+      if (!current) return null;
+    }
+    return null;
+  }
+
+  // Batched requests get a JSON array back; each element belongs to one operation
+  collectGraphql(entry, ops, response = entry) {
+    const recording = toRecording(response);
+    let results = null;
+    if (ops.length > 1) {
+      try {
+        results = JSON.parse(recording.body);
+      } catch {
+        // ignore
+      }
+      if (!Array.isArray(results) || results.length !== ops.length) return;
+    }
+
+    ops.forEach((op, i) => {
+      const key = graphqlKey(op);
+      if (this.graphql[key]) return;
+      const body = results ? JSON.stringify(results[i]) : recording.body;
+      this.graphql[key] = { ...recording, body };
+
+      let hasErrors = false;
+      try {
+        hasErrors = Array.isArray(JSON.parse(body).errors);
+      } catch {
+        // ignore
+      }
+      this.operations.push({
+        operationName: op.name || null,
+        type: op.type || null,
+        persistedQueryHash: op.hash || null,
+        endpoint: entry.url.split('?')[0],
+        method: entry.method,
+        variables: op.variables,
+        status: response.status,
+        hasErrors,
+        key,
+      });
+    });
+  }
+
+  // Script-initiated calls to anything that isn't a static asset or a page
+  isApiExchange({ resourceType, method, headers }) {
+    if (resourceType !== 'xhr' && resourceType !== 'fetch') return false;
+    if (method === 'OPTIONS') return false; // CORS preflight
+    const type = String(headers['content-type'] || '').toLowerCase();
+    return !/^(image|font|video|audio)\/|^text\/(html|css)/.test(type);
+  }
+
+  async write() {
+    this.collect();
+    const { outputDir } = this.cloner.options;
+    const dest = await writeReplayData(outputDir, DATA_FILE, {
+      __MW_API_RECORDINGS__: this.recordings,
+      __MW_GRAPHQL_RECORDINGS__: this.graphql,
+    });
+    if (this.operations.length) await this.writeReport();
+
+    if (!this.cloner.options.quiet) {
+      const count = Object.keys(this.recordings).length;
+      console.log(
+        chalk.gray(`  🔁 Recorded ${count} API responses -> ${dest}`),
+      );
+      if (this.operations.length) {
+        console.log(
+          chalk.gray(
+            `  🔁 Recorded ${this.operations.length} GraphQL operations -> ${this.reportFile}`,
+          ),
+        );
+      }
+    }
+    this.file = dest;
+    return dest;
+  }
+
+  async writeReport() {
+    const dest = path.join(this.cloner.options.outputDir, GRAPHQL_REPORT);
+    await fs.writeJson(
+      dest,
+      {
+        generatedAt: new Date().toISOString(),
+        url: this.cloner.url,
+        operations: this.operations,
+      },
+      { spaces: 2 },
+    );
+    this.reportFile = dest;
+    return dest;
+  }
+
+  inject($) {
+    const stub = this.cloner.options.apiStub || null;
+    const shim = `
+<script>
+(function(){
+  try{
+    const RECORDINGS = window.__MW_API_RECORDINGS__ || {};
+    const GRAPHQL = window.__MW_GRAPHQL_RECORDINGS__ || {};
+    const ORIGIN = ${JSON.stringify(this.cloner.url)};
+    const STUB = ${JSON.stringify(stub)};
+    const DEBUG = ${JSON.stringify(!!this.cloner.options.debug)};
+    function log(){ if (DEBUG) console.log.apply(console, ['[MW api]'].concat([].slice.call(arguments))); }
+    ${hashBody.toString()}
+    ${stableStringify.toString()}
+    ${graphqlOperations.toString()}
+    ${graphqlKey.toString()}
+    const REMOTE_ORIGIN = new URL(ORIGIN).origin;
+    // Mirror files (./assets/..., or absolute URLs on the local server) are never API calls
+    function isLocal(u){
+      if (/^(data:|blob:)/.test(u) || /^(\\.\\.?\\/)+assets\\//.test(u)) return true;
+      return /^[a-z]+:/i.test(u) && location.origin !== REMOTE_ORIGIN && u.indexOf(location.origin + '/') === 0;
+    }
+    function absolute(u){ try { return new URL(u, ORIGIN).href; } catch { return null; } }
+    function find(method, u, body){
+      if (!u || isLocal(u)) return { local: true };
+      const abs = absolute(u);
+      if (!abs) return { local: true };
+      const ops = graphqlOperations(method, abs, body);
+      if (ops) return findGraphql(ops);
+      const prefix = String(method || 'GET').toUpperCase() + ' ' + abs + ' ';
+      const exact = RECORDINGS[prefix + hashBody(body)];
+      if (exact) return { rec: exact };
+      // Bodies often carry timestamps/nonces: fall back to any recording for method + URL
+      for (const k in RECORDINGS) { if (k.indexOf(prefix) === 0) return { rec: RECORDINGS[k] }; }
+      return {};
+    }
+    // Same operation with other variables beats the network or a stub; a batch needs every result
+    function findGraphql(ops){
+      const recs = ops.map(function(op){
+        const key = graphqlKey(op);
+        if (GRAPHQL[key]) return GRAPHQL[key];
+        const prefix = key.slice(0, key.lastIndexOf(' ') + 1);
+        for (const k in GRAPHQL) { if (k.indexOf(prefix) === 0) return GRAPHQL[k]; }
+        return null;
+      });
+      if (recs.some(function(r){ return !r; })) return {};
+      if (ops.length === 1 && !ops[0].batched) return { rec: recs[0] };
+      return { rec: { status: 200, statusText: 'OK', headers: { 'content-type': 'application/json' }, body: '[' + recs.map(function(r){ return r.body; }).join(',') + ']', base64: false } };
+    }
+    function bodyOf(rec){
+      if (!rec.base64) return rec.body;
+      const bin = atob(rec.body); const out = new Uint8Array(bin.length);
+      for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+      return out;
+    }
+    function stubRecording(){
+      if (!STUB) return null;
+      return { status: STUB.status, statusText: '', headers: STUB.headers || {}, body: STUB.body || '', base64: false };
+    }
+
+    if (window.fetch) {
+      const nativeFetch = window.fetch;
+      window.fetch = function(input, init){
+        const u = typeof input === 'string' ? input : (input && input.url) || String(input);
+        const method = (init && init.method) || (input && input.method) || 'GET';
+        const body = init && typeof init.body === 'string' ? init.body : '';
+        const hit = find(method, u, body);
+        const rec = hit.rec || (hit.local ? null : stubRecording());
+        if (!rec) return nativeFetch.apply(this, arguments);
+        log(hit.rec ? 'replay' : 'stub', method, u);
+        const payload = rec.status === 204 || rec.status === 304 ? null : bodyOf(rec);
+        let response;
+        try {
+          response = new Response(payload, { status: rec.status, statusText: rec.statusText || '', headers: rec.headers });
+        } catch (e) {
+          // A status or header the Response constructor rejects: let the request through
+          log('unreplayable', method, u, e);
+          return nativeFetch.apply(this, arguments);
+        }
+        return Promise.resolve(response);
+      };
+    }
+
+    if (window.XMLHttpRequest) {
+      const proto = XMLHttpRequest.prototype;
+      const nativeOpen = proto.open;
+      const nativeSend = proto.send;
+      proto.open = function(method, url){
+        this.__mw = { method: method, url: String(url) };
+        return nativeOpen.apply(this, arguments);
+      };
+      proto.send = function(body){
+        const req = this.__mw;
+        const hit = req ? find(req.method, req.url, typeof body === 'string' ? body : '') : { local: true };
+        const rec = hit.rec || (hit.local ? null : stubRecording());
+        if (!rec) return nativeSend.apply(this, arguments);
+        log(hit.rec ? 'replay' : 'stub', req.method, req.url);
+        const xhr = this;
+        const text = rec.base64 ? '' : rec.body;
+        let response = text;
+        if (xhr.responseType === 'json') { try { response = JSON.parse(text); } catch { response = null; } }
+        else if (xhr.responseType === 'arraybuffer') { response = rec.base64 ? bodyOf(rec).buffer : new TextEncoder().encode(text).buffer; }
+        else if (xhr.responseType === 'blob') { response = new Blob([bodyOf(rec)], { type: rec.headers['content-type'] || '' }); }
+        const headerLines = Object.keys(rec.headers).map(function(k){ return k + ': ' + rec.headers[k]; }).join('\\r\\n');
+        const define = function(name, value){ Object.defineProperty(xhr, name, { configurable: true, value: value }); };
+        setTimeout(function(){
+          define('readyState', 4);
+          define('status', rec.status);
+          define('statusText', rec.statusText || '');
+          define('responseURL', absolute(req.url));
+          define('responseText', text);
+          define('response', response);
+          define('getResponseHeader', function(n){ const v = rec.headers[String(n).toLowerCase()]; return v == null ? null : v; });
+          define('getAllResponseHeaders', function(){ return headerLines; });
+          ['readystatechange', 'load', 'loadend'].forEach(function(type){
+            xhr.dispatchEvent(new ProgressEvent(type)); // also runs on<type> handlers
+          });
+        }, 0);
+      };
+    }
+  }catch(e){ if (${JSON.stringify(!!this.cloner.options.debug)}) console.warn('[MW api shim error]', e); }
+})();
+</script>`;
+    injectReplayShim($, DATA_FILE, shim);
+  }
+}
+
+// FNV-1a over UTF-16 code units; identical in Node and in the injected shim
+export function hashBody(str) {
+  let h = 0x811c9dc5;
+  const s = String(str || '');
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return s ? h.toString(16) : '';
+}
+
+export function replayKey(method, url, body) {
+  return `${String(method || 'GET').toUpperCase()} ${url} ${hashBody(body)}`;
+}
+
+// Key order doesn't change the meaning of variables, so it mustn't change the key
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return '[' + value.map(stableStringify).join(',') + ']';
+  }
+  if (value && typeof value === 'object') {
+    return (
+      '{' +
+      Object.keys(value)
+        .sort()
+        .map((k) => JSON.stringify(k) + ':' + stableStringify(value[k]))
+        .join(',') +
+      '}'
+    );
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// GraphQL operations in a request (GET params or a single/batched JSON body), or null.
+// Also runs inside the shim, so it may only use hashBody and browser globals.
+export function graphqlOperations(method, url, body) {
+  let payload;
+  try {
+    if (String(method || 'GET').toUpperCase() === 'GET') {
+      const params = new URL(url).searchParams;
+      if (!params.has('query') && !params.has('extensions')) return null;
+      payload = {
+        query: params.get('query') || '',
+        operationName: params.get('operationName') || '',
+        variables: JSON.parse(params.get('variables') || '{}'),
+        extensions: JSON.parse(params.get('extensions') || '{}'),
+      };
+    } else {
+      payload = JSON.parse(body);
+    }
+  } catch {
+    return null;
+  }
+
+  const batched = Array.isArray(payload);
+  const list = batched ? payload : [payload];
+  if (!list.length) return null;
+  const ops = [];
+  for (const p of list) {
+    if (!p || typeof p !== 'object') return null;
+    const query = typeof p.query === 'string' ? p.query : '';
+    const persisted = p.extensions && p.extensions.persistedQuery;
+    const hash = (persisted && persisted.sha256Hash) || '';
+    if (!query && !hash) return null;
+
+    // Fragments may precede the operation; an anonymous "{ ... }" is a query
+    const source = query.replace(/#[^\n]*/g, '');
+    const m = /\b(query|mutation|subscription)\b\s*([_A-Za-z][_0-9A-Za-z]*)?/.exec(
+      source,
+    );
+    const type = m ? m[1] : /^\s*\{/.test(source) ? 'query' : '';
+    const name = p.operationName || (m && m[2]) || '';
+    const id =
+      name || hash || 'anon:' + hashBody(source.replace(/\s+/g, ' ').trim());
+    ops.push({
+      id,
+      name,
+      type,
+      hash,
+      variables: p.variables || {},
+      batched,
+    });
+  }
+  return ops;
+}
+
+export function graphqlKey(op) {
+  return op.id + ' ' + hashBody(stableStringify(op.variables));
+}
+
+function toRecording(entry) {
+  const text = isTextual(entry.headers['content-type']);
+  return {
+    status: entry.status,
+    statusText: entry.statusText,
+    headers: pickHeaders(entry.headers),
+    body: entry.body.toString(text ? 'utf8' : 'base64'),
+    base64: !text,
+  };
+}
+
+function isTextual(contentType) {
+  const type = String(contentType || '').toLowerCase();
+  return (
+    !type ||
+    type.startsWith('text/') ||
+    /json|xml|javascript|graphql|x-www-form-urlencoded/.test(type)
+  );
+}
+
+// Headers worth replaying (transfer/encoding headers no longer apply to the stored body).
+// Puppeteer joins repeated headers with '\n', which fetch's Headers rejects.
+function pickHeaders(headers) {
+  const out = {};
+  for (const [k, v] of Object.entries(headers || {})) {
+    const name = k.toLowerCase();
+    if (
+      /^(content-encoding|content-length|transfer-encoding|set-cookie|connection)$/.test(
+        name,
+      )
+    ) {
+      continue;
+    }
+    out[name] = String(v)
+      .split('\n')
+      .map((part) => part.trim())
+      .filter(Boolean)
+      .join(', ');
+  }
+  return out;
+}
@@ -0,0 +1,409 @@
+import chalk from 'chalk';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import zlib from 'zlib';
+
+const SOFTWARE = 'mirror-web-cli';
+
+/**
+ * Archive Writer - Writes the exchanges kept by NetworkRecorder as a WARC 1.1
+ * file (one gzip member per record) and/or a WACZ package (WARC + CDXJ index
+ * + pages.jsonl + datapackage.json) that standard replay tools can open.
+ * The rewritten offline folder is written independently of these files.
+ */
+export class ArchiveWriter {
+  constructor(cloner) {
+    this.cloner = cloner;
+  }
+
+  isEnabled() {
+    return this.cloner.networkRecorder.isArchiving();
+  }
+
+  // Returns the paths written, for the run summary
+  async writeAll() {
+    const formats = this.cloner.options.formats || [];
+    const outputDir = this.cloner.options.outputDir;
+    const written = [];
+
+    await this.cloner.networkRecorder.flush();
+    const { warc, index } = this.buildWarc('data.warc.gz');
+
+    if (formats.includes('warc')) {
+      const dest = path.join(outputDir, `${this.cloner.domain}.warc.gz`);
+      await fs.writeFile(dest, warc);
+      written.push(dest);
+    }
+
+    if (formats.includes('wacz')) {
+      const dest = path.join(outputDir, `${this.cloner.domain}.wacz`);
+      await fs.writeFile(dest, this.buildWacz(warc, index));
+      written.push(dest);
+    }
+
+    if (!this.cloner.options.quiet) {
+      const count = this.cloner.networkRecorder.entries.length;
+      for (const p of written) {
+        console.log(chalk.gray(`  🗄️ Archived ${count} responses -> ${p}`));
+      }
+    }
+    return written;
+  }
+
+  buildWarc(filename) {
+    const entries = this.cloner.networkRecorder.entries;
+    const members = [];
+    const index = [];
+    let offset = 0;
+
+    const push = (buf) => {
+      members.push(buf);
+      offset += buf.length;
+    };
+
+    push(
+      gzipRecord(
+        warcRecord(
+          {
+            'WARC-Type': 'warcinfo',
+            'WARC-Date': warcDate(Date.now()),
+            'WARC-Filename': filename,
+            'Content-Type': 'application/warc-fields',
+          },
+          Buffer.from(
+            `software: ${SOFTWARE}\r\nformat: WARC File Format 1.1\r\n` +
+              `isPartOf: ${this.cloner.url}\r\n`,
+          ),
+        ),
+      ),
+    );
+
+    for (const entry of entries) {
+      const date = warcDate(entry.timestamp);
+      const responseId = recordId();
+      const payloadDigest = sha1Base32(entry.body);
+
+      const responseBlock = Buffer.concat([
+        httpResponseHead(entry),
+        entry.body,
+      ]);
+      const responseMember = gzipRecord(
+        warcRecord(
+          {
+            'WARC-Type': 'response',
+            'WARC-Record-ID': responseId,
+            'WARC-Date': date,
+            'WARC-Target-URI': entry.url,
+            'WARC-Payload-Digest': payloadDigest,
+            'WARC-Block-Digest': sha1Base32(responseBlock),
+            'Content-Type': 'application/http; msgtype=response',
+          },
+          responseBlock,
+        ),
+      );
+
+      index.push({
+        url: entry.url,
+        timestamp: entry.timestamp,
+        status: entry.status,
+        mime: String(headerValue(entry.headers, 'content-type') || '')
+          .split(';')[0]
+          .trim(),
+        digest: payloadDigest,
+        offset,
+        length: responseMember.length,
+        filename,
+      });
+      push(responseMember);
+
+      const requestBlock = httpRequestBlock(entry);
+      push(
+        gzipRecord(
+          warcRecord(
+            {
+              'WARC-Type': 'request',
+              'WARC-Record-ID': recordId(),
+              'WARC-Date': date,
+              'WARC-Target-URI': entry.url,
+              'WARC-Concurrent-To': responseId,
+              'WARC-Block-Digest': sha1Base32(requestBlock),
+              'Content-Type': 'application/http; msgtype=request',
+            },
+            requestBlock,
+          ),
+        ),
+      );
+    }
+
+    return { warc: Buffer.concat(members), index };
+  }
+
+  buildWacz(warc, index) {
+    const cdxj = index
+      .map((r) => {
+        const json = {
+          url: r.url,
+          mime: r.mime,
+          status: String(r.status),
+          digest: r.digest,
+          length: String(r.length),
+          offset: String(r.offset),
+          filename: r.filename,
+        };
+        return `${surt(r.url)} ${cdxTimestamp(r.timestamp)} ${JSON.stringify(json)}`;
+      })
+      .sort()
+      .join('\n');
+
+    const pages = [
+      JSON.stringify({
+        format: 'json-pages-1.0',
+        id: 'pages',
+        title: 'All Pages',
+      }),
+      ...this.pageEntries().map((p) => JSON.stringify(p)),
+    ].join('\n');
+
+    const files = [
+      { name: 'archive/data.warc.gz', data: warc },
+      { name: 'indexes/index.cdx', data: Buffer.from(cdxj + '\n') },
+      { name: 'pages/pages.jsonl', data: Buffer.from(pages + '\n') },
+    ];
+
+    const main = this.pageEntries()[0];
+    const datapackage = Buffer.from(
+      JSON.stringify(
+        {
+          profile: 'data-package',
+          wacz_version: '1.1.1',
+          title: `${this.cloner.domain} mirror`,
+          created: new Date().toISOString(),
+          software: SOFTWARE,
+          mainPageUrl: main?.url || this.cloner.url,
+          mainPageDate: main?.ts || new Date().toISOString(),
+          resources: files.map((f) => ({
+            name: path.posix.basename(f.name),
+            path: f.name,
+            hash: `sha256:${sha256Hex(f.data)}`,
+            bytes: f.data.length,
+          })),
+        },
+        null,
+        2,
+      ),
+    );
+    const digest = Buffer.from(
+      JSON.stringify({
+        path: 'datapackage.json',
+        hash: `sha256:${sha256Hex(datapackage)}`,
+      }),
+    );
+
+    return createZip([
+      ...files,
+      { name: 'datapackage.json', data: datapackage },
+      { name: 'datapackage-digest.json', data: digest },
+    ]);
+  }
+
+  // Main documents: the root page plus every crawled page that was captured
+  pageEntries() {
+    const recorder = this.cloner.networkRecorder;
+    const urls = [
+      this.cloner.url,
+      ...(this.cloner.siteCrawler?.pages || []).map((p) => p.url),
+    ];
+    return urls
+      .map((u) => recorder.byUrl.get(u))
+      .filter(Boolean)
+      .map((e) => ({
+        id: crypto.randomUUID(),
+        url: e.url,
+        ts: new Date(e.timestamp).toISOString(),
+      }));
+  }
+}
+
+/* ---------- helpers ---------- */
+
+function warcRecord(fields, block) {
+  const head = [
+    'WARC/1.1',
+    ...Object.entries({
+      'WARC-Record-ID': recordId(),
+      ...fields,
+      'Content-Length': String(block.length),
+    }).map(([k, v]) => `${k}: ${v}`),
+  ].join('\r\n');
+  return Buffer.concat([
+    Buffer.from(head + '\r\n\r\n'),
+    block,
+    Buffer.from('\r\n\r\n'),
+  ]);
+}
+
+function gzipRecord(buf) {
+  return zlib.gzipSync(buf);
+}
+
+// Bodies are stored decoded, so transfer/content encodings and lengths are re-stated
+function httpResponseHead(entry) {
+  const lines = [`HTTP/1.1 ${entry.status} ${entry.statusText || ''}`.trim()];
+  for (const [k, v] of Object.entries(entry.headers || {})) {
+    const key = k.toLowerCase();
+    if (
+      key === 'content-encoding' ||
+      key === 'transfer-encoding' ||
+      key === 'content-length'
+    )
+      continue;
+    for (const val of String(v).split('\n')) lines.push(`${k}: ${val}`);
+  }
+  lines.push(`Content-Length: ${entry.body.length}`);
+  return Buffer.from(lines.join('\r\n') + '\r\n\r\n');
+}
+
+function httpRequestBlock(entry) {
+  const u = new URL(entry.url);
+  const lines = [`${entry.method || 'GET'} ${u.pathname}${u.search} HTTP/1.1`];
+  const headers = { ...(entry.requestHeaders || {}) };
+  if (!headerValue(headers, 'host')) lines.push(`Host: ${u.host}`);
+  for (const [k, v] of Object.entries(headers)) lines.push(`${k}: ${v}`);
+  return Buffer.from(lines.join('\r\n') + '\r\n\r\n' + (entry.postData || ''));
+}
+
+function headerValue(headers, name) {
+  const key = Object.keys(headers || {}).find((k) => k.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+function recordId() {
+  return `<urn:uuid:${crypto.randomUUID()}>`;
+}
+
+function warcDate(ts) {
+  return new Date(ts).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+export function cdxTimestamp(ts) {
+  return new Date(ts).toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+// Sort-friendly URL key used by CDX indexes: com,example)/path?query
+export function surt(url) {
+  try {
+    const u = new URL(url);
+    const host = u.hostname
+      .replace(/^www\d*\./, '')
+      .split('.')
+      .reverse()
+      .join(',');
+    const port =
+      u.port && u.port !== '80' && u.port !== '443' ? `:${u.port}` : '';
+    return `${host}${port})${u.pathname}${u.search}`.toLowerCase();
+  } catch {
+    return String(url).toLowerCase();
+  }
+}
+
+function sha256Hex(buf) {
+  return crypto.createHash('sha256').update(buf).digest('hex');
+}
+
+function sha1Base32(buf) {
+  const digest = crypto.createHash('sha1').update(buf).digest();
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of digest) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += alphabet[(value << (5 - bits)) & 31];
+  return `sha1:${out}`;
+}
+
+// Minimal store-only (uncompressed) ZIP writer, as WACZ expects for .warc.gz entries
+export function createZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  const { time, date } = dosDateTime(new Date());
+
+  for (const { name, data } of files) {
+    const nameBuf = Buffer.from(name, 'utf8');
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(0, 8); // stored
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(0, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuf, data);
+    centrals.push(central, nameBuf);
+    offset += local.length + nameBuf.length + data.length;
+  }
+
+  const centralBuf = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralBuf.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralBuf, end]);
+}
+
+function dosDateTime(d) {
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+    date:
+      ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+let CRC_TABLE = null;
+export function crc32(buf) {
+  if (!CRC_TABLE) {
+    CRC_TABLE = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      CRC_TABLE[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) {
+    crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
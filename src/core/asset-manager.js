@@ -1,4 +1,5 @@
 import chalk from 'chalk';
+import { ISLAND_URL_ATTRS } from './astro-islands.js';
 
 /**
  * Asset Manager - Collects all assets without mutating the DOM.
@@ -30,6 +31,9 @@ export class AssetManager {
 
     console.log(chalk.gray('  🎥 Extracting media...'));
     await this.extractMedia($);
+
+    console.log(chalk.gray('  📡 Extracting runtime requests...'));
+    await this.extractRuntimeAssets();
   }
 
   async extractImages($) {
@@ -66,9 +70,11 @@ export class AssetManager {
       },
     );
 
-    // srcset on img/source
-    $('[srcset]').each((_, el) => {
-      const srcset = $(el).attr('srcset');
+    // srcset on img/source; lazy data-srcset is promoted when the page is written (gatsby-image)
+    $('[srcset], [data-srcset]').each((_, el) => {
+      const srcset = [$(el).attr('srcset'), $(el).attr('data-srcset')]
+        .filter(Boolean)
+        .join(',');
       if (!srcset) return;
 
       const entries = srcset
@@ -255,11 +261,13 @@ export class AssetManager {
       if (!href || href.startsWith('data:')) return;
 
       const abs = this.cloner.resolveUrl(href);
+      if (this.processedUrls.has(abs)) return; // shared across crawled pages
+      this.processedUrls.add(abs);
       const filename = this.cloner.generateFilename(abs, 'styles');
       this.cloner.assets.styles.push({
         url: abs,
         filename,
-        type: 'external',
+        type: this.isGoogleFontsCss(abs) ? 'google-fonts' : 'external',
       });
     });
 
@@ -283,6 +291,8 @@ export class AssetManager {
       if (this.isTrackingScript(src)) return;
 
       const abs = this.cloner.resolveUrl(src);
+      if (this.processedUrls.has(abs)) return;
+      this.processedUrls.add(abs);
       const filename = this.cloner.generateFilename(abs, 'scripts');
       this.cloner.assets.scripts.push({
         url: abs,
@@ -291,6 +301,22 @@ export class AssetManager {
       });
     });
 
+    // Astro islands import their component and renderer modules at hydration time
+    $('astro-island').each((_, el) => {
+      for (const attr of ISLAND_URL_ATTRS) {
+        const value = $(el).attr(attr);
+        if (!value) continue;
+        const abs = this.cloner.resolveUrl(value);
+        if (this.processedUrls.has(abs)) continue;
+        this.processedUrls.add(abs);
+        this.cloner.assets.scripts.push({
+          url: abs,
+          filename: this.cloner.generateFilename(abs, 'scripts'),
+          type: 'astro-island',
+        });
+      }
+    });
+
     if (!this.cloner.options.clean) {
       $('script:not([src])').each((_, el) => {
         const content = $(el).html();
@@ -312,8 +338,24 @@ export class AssetManager {
     ).each((_, el) => {
       const href = $(el).attr('href');
       if (!href) return;
+      // preconnect/dns-prefetch hints point at hosts, not files
+      const rel = ($(el).attr('rel') || '').toLowerCase();
+      if (/preconnect|dns-prefetch/.test(rel)) return;
 
       const abs = this.cloner.resolveUrl(href);
+      if (this.processedUrls.has(abs)) return;
+      this.processedUrls.add(abs);
+
+      // The css/css2 endpoints return @font-face rules; localized like any stylesheet
+      if (this.isGoogleFontsCss(abs)) {
+        this.cloner.assets.styles.push({
+          url: abs,
+          filename: this.cloner.generateFilename(abs, 'styles'),
+          type: 'google-fonts',
+        });
+        return;
+      }
+
       const filename = this.cloner.generateFilename(abs, 'fonts');
       this.cloner.assets.fonts.push({
         url: abs,
@@ -323,6 +365,17 @@ export class AssetManager {
     });
   }
 
+  isGoogleFontsCss(url) {
+    try {
+      const u = new URL(url);
+      return (
+        u.hostname === 'fonts.googleapis.com' && /^\/css2?\b/.test(u.pathname)
+      );
+    } catch {
+      return false;
+    }
+  }
+
   async extractIcons($) {
     const selectors = [
       'link[rel="icon"]',
@@ -337,6 +390,8 @@ export class AssetManager {
         if (!href || href.startsWith('data:')) return;
 
         const abs = this.cloner.resolveUrl(href);
+        if (this.processedUrls.has(abs)) return;
+        this.processedUrls.add(abs);
         const filename = this.cloner.generateFilename(abs, 'icons');
         this.cloner.assets.icons.push({
           url: abs,
@@ -501,6 +556,88 @@ export class AssetManager {
     );
   }
 
+  // Same-site responses the page requested at runtime: lazy chunks, workers, wasm, fetched JSON/data
+  async extractRuntimeAssets() {
+    const recorder = this.cloner.networkRecorder;
+    if (!recorder.isEnabled()) return;
+    await recorder.flush();
+
+    for (const entry of recorder.entries) {
+      if (entry.source !== 'browser' || entry.method !== 'GET') continue;
+      if (entry.status !== 200 || !entry.body.length) continue;
+      if (this.processedUrls.has(entry.url) || !this.isSameSite(entry.url)) {
+        continue;
+      }
+
+      const kind = this.classifyRuntimeResponse(entry);
+      if (!kind) continue;
+      this.processedUrls.add(entry.url);
+
+      if (kind === 'script') {
+        if (this.isTrackingScript(entry.url)) continue;
+        this.cloner.assets.scripts.push({
+          url: entry.url,
+          filename: this.cloner.generateFilename(entry.url, 'scripts'),
+          type: 'external',
+          runtime: true,
+        });
+      } else {
+        this.cloner.assets.data.push({
+          url: entry.url,
+          filename: this.cloner.generateFilename(entry.url, 'data'),
+          type: kind,
+        });
+      }
+    }
+  }
+
+  // 'script' | 'wasm' | 'json' | 'data', or null for responses handled elsewhere
+  classifyRuntimeResponse({ url, resourceType, headers }) {
+    const type = String(headers['content-type'] || '')
+      .split(';')[0]
+      .trim()
+      .toLowerCase();
+    let pathname = '';
+    try {
+      pathname = new URL(url).pathname.toLowerCase();
+    } catch {
+      return null;
+    }
+
+    if (type === 'application/wasm' || pathname.endsWith('.wasm')) {
+      return 'wasm';
+    }
+    if (
+      resourceType === 'script' ||
+      /(java|ecma)script/.test(type) ||
+      /\.m?js$/.test(pathname)
+    ) {
+      return 'script';
+    }
+    if (type.includes('json') || /\.(json|lottie)$/.test(pathname)) {
+      return 'json';
+    }
+    // Other payloads fetched by scripts (csv, xml, binary blobs); never pages or styles
+    if (
+      (resourceType === 'fetch' || resourceType === 'xhr') &&
+      !/^text\/(html|css)/.test(type) &&
+      !/^(image|font|video|audio)\//.test(type)
+    ) {
+      return 'data';
+    }
+    return null;
+  }
+
+  isSameSite(url) {
+    try {
+      const host = new URL(url).hostname;
+      const domain = this.cloner.domain;
+      return host === domain || host.endsWith(`.${domain}`);
+    } catch {
+      return false;
+    }
+  }
+
   isTrackingScript(content) {
     if (!content) return false;
     const patterns = [
@@ -0,0 +1,62 @@
+// <astro-island> attributes holding module URLs imported at hydration time
+export const ISLAND_URL_ATTRS = [
+  'component-url',
+  'renderer-url',
+  'before-hydration-url',
+];
+
+// Inline island runtime and client:* directive loaders Astro writes into the page
+const ISLAND_RUNTIME =
+  /astro-island|self\.Astro|astro:(load|idle|visible|media|only)/;
+
+/**
+ * Astro Islands - Partial hydration for Astro sites: instead of keeping or
+ * stripping every script, the static HTML is kept and only what the
+ * <astro-island> elements need survives — the inline island runtime plus
+ * each island's component, renderer and before-hydration modules, pointed
+ * at the mirrored copies. An import map sends the chunks those modules
+ * import (by relative or /_astro/ path) to their renamed files.
+ */
+export class AstroIslands {
+  constructor(cloner) {
+    this.cloner = cloner;
+  }
+
+  isEnabled($ = this.cloner.$) {
+    if (this.cloner.options.astroIslands === false || !$) return false;
+    return $('astro-island').length > 0;
+  }
+
+  // Everything besides the islands stays static
+  keepIslandsOnly($, mappings) {
+    $('astro-island').each((_, el) => {
+      const $island = $(el);
+      for (const attr of ISLAND_URL_ATTRS) {
+        const value = $island.attr(attr);
+        if (!value) continue;
+        const local = mappings.get(this.cloner.resolveUrl(value));
+        if (local) $island.attr(attr, local);
+      }
+    });
+
+    $('script').each((_, el) => {
+      const $el = $(el);
+      const type = ($el.attr('type') || '').trim().toLowerCase();
+      // JSON-LD and other data blocks don't execute
+      if (
+        type &&
+        !/^(module|text\/javascript|application\/javascript)$/.test(type)
+      ) {
+        return;
+      }
+      if (!$el.attr('src') && ISLAND_RUNTIME.test($el.html() || '')) return;
+      $el.remove();
+    });
+    $('link[rel="modulepreload"], link[rel="preload"][as="script"]').remove();
+
+    this.cloner.frameworkWriter.injectModuleImportMap($, (u) =>
+      u.pathname.includes('/_astro/'),
+    );
+    $('head').append('<meta name="js-mode" content="astro-islands">');
+  }
+}
@@ -4,6 +4,10 @@ import chalk from 'chalk';
 
 let isAdblockerRegistered = false;
 
+// Current desktop Chrome UA (also sent where servers negotiate formats by UA, e.g. Google Fonts)
+export const DESKTOP_USER_AGENT =
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36';
+
 /**
  * Browser Engine - Handles browser automation
  */
@@ -29,8 +33,11 @@ export class BrowserEngine {
 
   /**
    * Create a new page with optimized, more "real" browser settings for Next.js
+   * @param {object} [opts]
+   * @param {Function} [opts.onRequest] replaces the default continue-everything interception handler
+   * @param {boolean} [opts.primary] record the page as this.page (other tabs may be set up concurrently)
    */
-  async createPage() {
+  async createPage({ onRequest, primary = false } = {}) {
     if (!this.browser) {
       this.browser = await puppeteer.launch({
         headless: this.options.headless,
@@ -46,29 +53,32 @@ export class BrowserEngine {
       });
     }
 
-    this.page = await this.browser.newPage();
+    const page = await this.browser.newPage();
+    if (primary) this.page = page;
 
     try {
-      await this.page.setBypassCSP(true);
+      await page.setBypassCSP(true);
     } catch { }
 
-    await this.page.setViewport({ width: 1366, height: 768 });
-    await this.page.setUserAgent(
-      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
-    );
+    await page.setViewport({ width: 1366, height: 768 });
+    await page.setUserAgent(DESKTOP_USER_AGENT);
 
-    await this.page.setDefaultTimeout(this.options.timeout);
-    await this.page.setDefaultNavigationTimeout(this.options.timeout);
+    await page.setDefaultTimeout(this.options.timeout);
+    await page.setDefaultNavigationTimeout(this.options.timeout);
 
     // If adblocker is NOT enabled, we still use request interception for basic logic
     // If it IS enabled, puppeteer-extra-plugin-adblocker handles much of this.
-    await this.page.setRequestInterception(true);
-
-    this.page.on('request', (request) => {
-      request.continue().catch(() => { });
-    });
+    await page.setRequestInterception(true);
+
+    page.on(
+      'request',
+      onRequest ||
+        ((request) => {
+          request.continue().catch(() => { });
+        }),
+    );
 
-    this.page.on('requestfailed', (request) => {
+    page.on('requestfailed', (request) => {
       if (this.options.debug) {
         console.log(
           chalk.yellow(
@@ -79,7 +89,7 @@ export class BrowserEngine {
       }
     });
 
-    return this.page;
+    return page;
   }
 
   /**
@@ -0,0 +1,135 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import YAML from 'yaml';
+
+// Pattern types a rules file may use, and the fields each one needs
+const PATTERN_FIELDS = {
+  script: ['pattern'],
+  script_content: ['pattern'],
+  script_json_id: ['id'],
+  element: ['selector'],
+  meta: ['name', 'pattern'],
+  class: ['pattern'],
+  attribute: ['pattern'],
+  link_href: ['pattern'],
+  header: ['name'], // pattern optional: presence of the header is enough
+  cookie: ['pattern'], // matched against the cookie name; value optional
+};
+
+const REGEX_FIELDS = ['pattern', 'value'];
+const JS_MODES = ['on', 'off', 'auto'];
+
+/**
+ * Load user-defined framework detectors from a JSON, YAML or JS module file.
+ * The file holds `{ detectors: { key: { name, patterns, strategy, jsMode, threshold } } }`
+ * (or the detectors map itself); a JS module exports it as default. Regex
+ * fields given as strings are compiled: "/acme/i" keeps its flags, anything
+ * else is used as the regex source.
+ */
+export async function loadDetectorRules(file) {
+  const resolved = path.resolve(file);
+  if (!(await fs.pathExists(resolved))) {
+    throw new Error(`Detector rules file not found: ${file}`);
+  }
+
+  const ext = path.extname(resolved).toLowerCase();
+  let rules;
+  if (['.js', '.mjs', '.cjs'].includes(ext)) {
+    const mod = await import(pathToFileURL(resolved).href);
+    rules = mod.default ?? mod.detectors;
+  } else if (ext === '.yaml' || ext === '.yml') {
+    rules = parseYaml(await fs.readFile(resolved, 'utf8'), file);
+  } else {
+    try {
+      rules = JSON.parse(await fs.readFile(resolved, 'utf8'));
+    } catch (e) {
+      throw new Error(`Invalid detector rules JSON in ${file}: ${e.message}`);
+    }
+  }
+
+  const detectors = rules?.detectors ?? rules;
+  if (!detectors || typeof detectors !== 'object' || Array.isArray(detectors)) {
+    throw new Error(`Detector rules in ${file} must be an object of detectors`);
+  }
+  return Object.fromEntries(
+    Object.entries(detectors).map(([key, def]) => [
+      key,
+      normalizeDetector(key, def),
+    ]),
+  );
+}
+
+function parseYaml(text, file) {
+  try {
+    return YAML.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid detector rules YAML in ${file}: ${e.message}`);
+  }
+}
+
+function normalizeDetector(key, def) {
+  if (!def || !Array.isArray(def.patterns) || !def.patterns.length) {
+    throw new Error(`Detector "${key}" needs a non-empty patterns list`);
+  }
+  const jsMode = def.jsMode ? String(def.jsMode).toLowerCase() : 'auto';
+  if (!JS_MODES.includes(jsMode)) {
+    throw new Error(
+      `Detector "${key}" has invalid jsMode "${def.jsMode}" (expected on, off or auto)`,
+    );
+  }
+  // Share of patterns that must match; unset keeps the built-in "more than 0.3"
+  const threshold =
+    def.threshold === undefined ? undefined : Number(def.threshold);
+  if (
+    threshold !== undefined &&
+    (!Number.isFinite(threshold) || threshold < 0 || threshold > 1)
+  ) {
+    throw new Error(`Detector "${key}" threshold must be between 0 and 1`);
+  }
+
+  return {
+    name: def.name || key,
+    patterns: def.patterns.map((p, i) => normalizePattern(key, p, i)),
+    strategy: def.strategy ? String(def.strategy) : null,
+    category: def.category ? String(def.category) : null, // technologies.json group
+    jsMode: jsMode === 'auto' ? null : jsMode,
+    threshold,
+    custom: true,
+  };
+}
+
+function normalizePattern(key, pattern, index) {
+  const fields = PATTERN_FIELDS[pattern?.type];
+  if (!fields) {
+    throw new Error(
+      `Detector "${key}" pattern ${index + 1}: unknown type "${pattern?.type}" (expected ${Object.keys(PATTERN_FIELDS).join(', ')})`,
+    );
+  }
+  const missing = fields.filter((f) => pattern[f] === undefined);
+  if (missing.length) {
+    throw new Error(
+      `Detector "${key}" pattern ${index + 1} (${pattern.type}) is missing ${missing.join(', ')}`,
+    );
+  }
+
+  const out = { ...pattern };
+  for (const field of REGEX_FIELDS) {
+    if (out[field] === undefined || out[field] instanceof RegExp) continue;
+    try {
+      out[field] = toRegExp(String(out[field]));
+    } catch (e) {
+      throw new Error(
+        `Detector "${key}" pattern ${index + 1}: invalid ${field} regex (${e.message})`,
+      );
+    }
+  }
+  if (out.type === 'header') out.name = String(out.name).toLowerCase();
+  return out;
+}
+
+// "/acme/i" -> /acme/i; "acme-" -> /acme-/
+function toRegExp(source) {
+  const m = /^\/(.+)\/([dgimsuy]*)$/.exec(source);
+  return m ? new RegExp(m[1], m[2].replace('g', '')) : new RegExp(source);
+}
@@ -199,6 +199,8 @@ export class Display {
     confidence = 0,
     complexity = 'UNKNOWN',
     strategy = '',
+    version = null,
+    evidence = [],
   } = {}) {
     this._stopSpinner();
     const w = this.options.width;
@@ -207,17 +209,56 @@ export class Display {
     const bar = renderBar(confidence, w - 20);
     const cText = `${Math.max(0, Math.min(100, confidence))}%`;
     const lines = [
-      `${Theme.text('Framework:')} ${Theme.accent2(name)}`,
+      `${Theme.text('Framework:')} ${Theme.accent2(name)}${
+        version ? Theme.muted(` v${version}`) : ''
+      }`,
       `${Theme.text('Confidence:')} ${Theme.accent(cText)} ${bar}`,
       `${Theme.text('Complexity:')} ${Theme.muted(complexity)}`,
       `${Theme.text('Strategy:')} ${Theme.muted(strategy)}`,
     ];
+    if (evidence.length) {
+      const shown = evidence.slice(0, 4).join(', ');
+      const more = evidence.length > 4 ? ` +${evidence.length - 4} more` : '';
+      lines.push(`${Theme.text('Evidence:')} ${Theme.muted(shown + more)}`);
+    }
+
+    printCard(title, lines, w);
+  }
+
+  // Technology fingerprint: one row per category (Map of label -> items)
+  technologyTable(groups) {
+    this._stopSpinner();
+    if (!groups.size) return;
+    const w = this.options.width;
+    const title = `${Icons.gear} Technologies`;
+
+    const widthLeft = 14;
+    const lines = [];
+    for (const [label, items] of groups) {
+      const names = items.map((t) => {
+        const version = t.version ? ` ${t.version}` : '';
+        const pct = `${Math.round(t.confidence * 100)}%`;
+        return `${Theme.text(t.name + version)} ${Theme.muted(pct)}`;
+      });
+      lines.push(
+        `${padRight(Theme.muted(label), widthLeft)} ${names.join(', ')}`,
+      );
+    }
 
     printCard(title, lines, w);
   }
 
   // End summary block
-  summary({ outputDir, framework, outputType, assets, duration }) {
+  summary({
+    outputDir,
+    framework,
+    outputType,
+    assets,
+    pages,
+    skipped = [],
+    artifacts = [],
+    duration,
+  }) {
     this._stopSpinner();
     const w = this.options.width;
     const title = `${Icons.check} Mirroring Summary`;
@@ -230,6 +271,25 @@ export class Display {
       [Theme.muted('Assets'), Theme.text(String(assets?.total ?? '-'))],
       [Theme.muted('Duration'), Theme.text(formatDuration(duration || 0))],
     ];
+    if (pages !== undefined) {
+      rows.splice(3, 0, [Theme.muted('Pages'), Theme.text(String(pages))]);
+    }
+
+    for (const [label, file] of artifacts) {
+      rows.push([Theme.muted(label), Theme.text(file)]);
+    }
+
+    if (skipped.length) {
+      rows.push([Theme.muted('Skipped'), Theme.warn(String(skipped.length))]);
+      const shown = skipped.slice(0, 10);
+      for (const { url, reason } of shown) {
+        rows.push(['', Theme.muted(`${url} (${reason})`)]);
+      }
+      if (skipped.length > shown.length) {
+        const more = skipped.length - shown.length;
+        rows.push(['', Theme.muted(`…and ${more} more`)]);
+      }
+    }
 
     const widthLeft = 14;
     const lines = rows.map(([l, r]) => `${padRight(l, widthLeft)} ${r}`);
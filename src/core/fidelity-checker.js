@@ -0,0 +1,180 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+
+// Max YIQ colour distance (squared) and the share of it that counts as a visible change
+const MAX_YIQ_DELTA = 35215;
+const PIXEL_THRESHOLD = 0.1;
+
+/**
+ * Fidelity Checker - Screenshots the live page and the locally served mirror
+ * at the same viewport, pixel-diffs them and reports a similarity score.
+ * A highlighted diff image is written next to both screenshots, and runs
+ * scoring below --min-fidelity are reported as failures.
+ */
+export class FidelityChecker {
+  constructor(cloner) {
+    this.cloner = cloner;
+    this.liveShot = null; // { buffer, viewport }
+    this.result = null; // { score, passed, diffPath, ... }
+  }
+
+  isEnabled() {
+    return typeof this.cloner.options.minFidelity === 'number';
+  }
+
+  dir() {
+    return this.cloner.screenshotManager.dir();
+  }
+
+  // Viewport-sized shot of the settled live page (before the DOM is rewritten)
+  async captureLive(page) {
+    const viewport = page.viewport() || { width: 1366, height: 768 };
+    await page.evaluate(() => window.scrollTo(0, 0)).catch(() => {});
+    const buffer = await page.screenshot({ type: 'png' });
+    this.liveShot = { buffer, viewport };
+  }
+
+  async run() {
+    if (!this.liveShot) throw new Error('live screenshot was not captured');
+    const { buffer: live, viewport } = this.liveShot;
+
+    const offline = await this.cloner.screenshotManager.withServedMirror(
+      async (page) => {
+        await this.cloner.waitForNetworkIdle(page, 1000).catch(() => {});
+        await page.evaluate(() => window.scrollTo(0, 0)).catch(() => {});
+        return page.screenshot({ type: 'png' });
+      },
+      viewport,
+    );
+
+    await fs.ensureDir(this.dir());
+    const livePath = path.join(this.dir(), 'fidelity-live.png');
+    const offlinePath = path.join(this.dir(), 'fidelity-offline.png');
+    const diffPath = path.join(this.dir(), 'fidelity-diff.png');
+    await fs.writeFile(livePath, live);
+    await fs.writeFile(offlinePath, offline);
+
+    const { score, diffPixels, totalPixels } = await this.compare(
+      live,
+      offline,
+      diffPath,
+    );
+    const min = this.cloner.options.minFidelity;
+    this.result = {
+      score,
+      min,
+      passed: score >= min,
+      diffPixels,
+      totalPixels,
+      livePath,
+      offlinePath,
+      diffPath,
+    };
+
+    if (this.cloner.options.debug) {
+      console.log(
+        chalk.gray(
+          `    Fidelity: ${diffPixels}/${totalPixels} pixels differ (score ${formatScore(score)})`,
+        ),
+      );
+    }
+    return this.result;
+  }
+
+  // Pixel-diff two PNG buffers; writes a faded copy of `a` with changed pixels in red
+  async compare(a, b, diffPath) {
+    const sharp = (await import('sharp')).default;
+    const base = await sharp(a)
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const { width, height } = base.info;
+    // Mirrors can render at a slightly different size (scrollbars); compare on a's grid
+    const other = await sharp(b)
+      .resize(width, height, { fit: 'fill' })
+      .ensureAlpha()
+      .raw()
+      .toBuffer();
+
+    const pa = base.data;
+    const pb = other;
+    const out = Buffer.alloc(width * height * 4);
+    const limit = MAX_YIQ_DELTA * PIXEL_THRESHOLD * PIXEL_THRESHOLD;
+    let diffPixels = 0;
+
+    for (let i = 0; i < pa.length; i += 4) {
+      const delta = yiqDelta(pa, pb, i);
+      if (delta > limit) {
+        diffPixels++;
+        out[i] = 255;
+        out[i + 1] = 0;
+        out[i + 2] = 0;
+      } else {
+        // Faded grayscale context so differences stand out
+        const y = luma(pa[i], pa[i + 1], pa[i + 2]);
+        const v = Math.round(255 + (y - 255) * 0.1);
+        out[i] = v;
+        out[i + 1] = v;
+        out[i + 2] = v;
+      }
+      out[i + 3] = 255;
+    }
+
+    await sharp(out, { raw: { width, height, channels: 4 } })
+      .png()
+      .toFile(diffPath);
+
+    const totalPixels = width * height;
+    return {
+      score: totalPixels ? 1 - diffPixels / totalPixels : 1,
+      diffPixels,
+      totalPixels,
+    };
+  }
+
+  // [label, value] rows for Display.summary
+  summaryRows() {
+    if (!this.result) return [];
+    const { score, min, diffPath } = this.result;
+    return [
+      ['Fidelity', `${formatScore(score)} (min ${formatScore(min)})`],
+      ['Diff image', diffPath],
+    ];
+  }
+}
+
+export function formatScore(ratio) {
+  return `${(ratio * 100).toFixed(1)}%`;
+}
+
+// Blend against white so transparent pixels compare like the browser paints them
+function blend(c, a) {
+  return 255 + ((c - 255) * a) / 255;
+}
+
+function luma(r, g, b) {
+  return r * 0.29889531 + g * 0.58662247 + b * 0.11448223;
+}
+
+function yiqDelta(pa, pb, i) {
+  const r1 = blend(pa[i], pa[i + 3]);
+  const g1 = blend(pa[i + 1], pa[i + 3]);
+  const b1 = blend(pa[i + 2], pa[i + 3]);
+  const r2 = blend(pb[i], pb[i + 3]);
+  const g2 = blend(pb[i + 1], pb[i + 3]);
+  const b2 = blend(pb[i + 2], pb[i + 3]);
+
+  const y = luma(r1, g1, b1) - luma(r2, g2, b2);
+  const iq =
+    r1 * 0.59597799 -
+    g1 * 0.2741761 -
+    b1 * 0.32180189 -
+    (r2 * 0.59597799 - g2 * 0.2741761 - b2 * 0.32180189);
+  const q =
+    r1 * 0.21147017 -
+    g1 * 0.52261711 +
+    b1 * 0.31114694 -
+    (r2 * 0.21147017 - g2 * 0.52261711 + b2 * 0.31114694);
+  return 0.5053 * y * y + 0.299 * iq * iq + 0.1957 * q * q;
+}
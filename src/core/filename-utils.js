@@ -18,6 +18,179 @@ export function makeAssetFilename(url, category = 'bin') {
   return `${safeBase}_${hash}.${ext}`;
 }
 
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.mjs': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.heic': 'image/heic',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.bmp': 'image/bmp',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.ogg': 'video/ogg',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.m4a': 'audio/mp4',
+  '.woff2': 'font/woff2',
+  '.woff': 'font/woff',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.txt': 'text/plain; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.wasm': 'application/wasm',
+};
+
+/**
+ * MIME type for a local file, by extension (used by the validation server and inliner).
+ */
+export function mimeForFilename(filePath) {
+  const idx = String(filePath).lastIndexOf('.');
+  const ext = idx >= 0 ? String(filePath).slice(idx).toLowerCase() : '';
+  return MIME_TYPES[ext] || 'application/octet-stream';
+}
+
+// Content-Type -> extension for types worth renaming a download to
+const CONTENT_TYPE_EXTENSIONS = {
+  'text/css': 'css',
+  'application/javascript': 'js',
+  'text/javascript': 'js',
+  'application/json': 'json',
+  'application/wasm': 'wasm',
+  'image/svg+xml': 'svg',
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/pjpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/heic': 'heic',
+  'image/heif': 'heic',
+  'image/gif': 'gif',
+  'image/x-icon': 'ico',
+  'image/vnd.microsoft.icon': 'ico',
+  'image/bmp': 'bmp',
+  'font/woff2': 'woff2',
+  'font/woff': 'woff',
+  'application/font-woff': 'woff',
+  'font/ttf': 'ttf',
+  'font/otf': 'otf',
+  'application/vnd.ms-fontobject': 'eot',
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov',
+  'video/webm': 'webm',
+  'audio/webm': 'webm',
+  'video/ogg': 'ogg',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/mp4': 'm4a',
+};
+
+// ISO-BMFF (ftyp) brands of HEIF still images; AVIF files may also carry mif1/msf1
+const HEIF_BRAND = /^(heic|heix|hevc|hevx|heim|heis|mif1|msf1)$/;
+
+// Content types a TrueType body ('true' tag) can plausibly arrive with
+const FONT_OR_BINARY_TYPE =
+  /^(font\/|application\/(x-)?font|application\/octet-stream$)/;
+
+// Optional XML prolog, comments and doctype before the <svg> root
+const SVG_START =
+  /^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i;
+
+/**
+ * Detect a file's real extension from its leading bytes, falling back to the
+ * response Content-Type. Returns null when neither is conclusive (generic
+ * types such as application/octet-stream or text/plain are ignored).
+ */
+export function sniffExtension(body, contentType = '') {
+  const buf = Buffer.isBuffer(body) ? body : Buffer.from(body || []);
+  const ascii = (start, end) => buf.toString('latin1', start, end);
+  const type = String(contentType || '')
+    .split(';')[0]
+    .trim()
+    .toLowerCase();
+
+  if (buf.length >= 4) {
+    if (buf[0] === 0x89 && ascii(1, 4) === 'PNG') return 'png';
+    if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'jpg';
+    if (ascii(0, 4) === 'GIF8') return 'gif';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'wav';
+    if (ascii(4, 8) === 'ftyp') return ftypExtension(buf);
+    if (ascii(0, 4) === '\0asm') return 'wasm';
+    if (ascii(0, 4) === 'wOF2') return 'woff2';
+    if (ascii(0, 4) === 'wOFF') return 'woff';
+    if (ascii(0, 4) === 'OTTO') return 'otf';
+    // 'true' is also how text and JSON bodies can start
+    if (
+      buf.readUInt32BE(0) === 0x00010000 ||
+      (ascii(0, 4) === 'true' && FONT_OR_BINARY_TYPE.test(type))
+    ) {
+      return 'ttf';
+    }
+    if (buf.readUInt32BE(0) === 0x1a45dfa3) return 'webm';
+    if (ascii(0, 4) === 'OggS') return 'ogg';
+    // MPEG audio frame sync; layer bits 00 is ADTS AAC, not MP3
+    if (
+      ascii(0, 3) === 'ID3' ||
+      (buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0 && (buf[1] & 0x06) !== 0)
+    ) {
+      return 'mp3';
+    }
+    if (buf.readUInt32BE(0) === 0x00000100) return 'ico';
+    if (ascii(0, 2) === 'BM') return 'bmp';
+  }
+
+  const head = buf
+    .toString('utf8', 0, 512)
+    .replace(/^\uFEFF/, '')
+    .trimStart();
+  if (SVG_START.test(head)) return 'svg';
+
+  return CONTENT_TYPE_EXTENSIONS[type] || null;
+}
+
+// Major brand plus the compatible brands listed in the ftyp box
+function ftypExtension(buf) {
+  const size = Math.min(buf.readUInt32BE(0), buf.length);
+  const brands = [buf.toString('latin1', 8, 12)];
+  for (let i = 16; i + 4 <= size; i += 4) {
+    brands.push(buf.toString('latin1', i, i + 4));
+  }
+  if (brands.some((b) => b === 'avif' || b === 'avis')) return 'avif';
+  if (brands.some((b) => HEIF_BRAND.test(b))) return 'heic';
+  if (brands[0] === 'qt  ') return 'mov';
+  if (brands[0] === 'M4A ') return 'm4a';
+  return 'mp4';
+}
+
+/**
+ * Return filename with its extension corrected to match the downloaded body.
+ * Scripts and stylesheets keep theirs (the referencing tag decides how they load).
+ */
+export function correctAssetExtension(filename, body, contentType, category) {
+  if (category === 'scripts' || category === 'styles') return filename;
+  const detected = sniffExtension(body, contentType);
+  if (!detected) return filename;
+  const current = mimeForFilename(filename);
+  if (current === MIME_TYPES[`.${detected}`]) return filename;
+  const idx = filename.lastIndexOf('.');
+  const base = idx > 0 ? filename.slice(0, idx) : filename;
+  return `${base}.${detected}`;
+}
+
 function safeUrl(url) {
   try {
     return new URL(url);
@@ -75,3 +248,52 @@ function shortHash(input) {
 function sanitize(s) {
   return s.replace(/[^a-zA-Z0-9._-]/g, '_');
 }
+
+function decodeSegment(s) {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    return s; // keep raw segment
+  }
+}
+
+/**
+ * Turn a URL path into a relative file path that stays inside its output
+ * folder: segments are decoded and sanitized, and empty, "." and ".."
+ * segments are dropped.
+ */
+export function safeRelativePath(p) {
+  return String(p)
+    .split('/')
+    .map((seg) => sanitize(decodeSegment(seg)))
+    .filter((seg) => seg && seg !== '.' && seg !== '..')
+    .join('/');
+}
+
+/**
+ * Map a crawled page URL to the relative HTML path it is written to.
+ * The root page becomes index.html, /about becomes about/index.html.
+ * Pages on another (sub)domain are nested under their hostname, and
+ * query strings get a hashed index file so variants don't collide.
+ */
+export function makePagePath(url, rootHost = '') {
+  const u = safeUrl(url);
+  if (!u) return 'index.html';
+
+  const segments = u.pathname
+    .split('/')
+    .filter(Boolean)
+    .map((s) => sanitize(decodeSegment(s)).slice(0, 60) || '_');
+
+  // /about.html and /about are the same page folder
+  const last = segments[segments.length - 1];
+  if (last && /\.(html?|php|aspx?|jsp)$/i.test(last)) {
+    segments[segments.length - 1] = last.replace(/\.[a-z]+$/i, '');
+    if (/^index$/i.test(segments[segments.length - 1])) segments.pop();
+  }
+
+  if (rootHost && u.hostname !== rootHost) segments.unshift(u.hostname);
+
+  const file = u.search ? `index_${shortHash(u.search)}.html` : 'index.html';
+  return [...segments, file].join('/');
+}
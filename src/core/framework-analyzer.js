@@ -5,6 +5,169 @@
 
 import { load } from 'cheerio';
 
+// Runtime evidence is read from live globals, so it outranks HTML patterns;
+// meta-frameworks also outrank the library they render with
+const RUNTIME_CONFIDENCE = 0.9;
+const META_FRAMEWORKS = ['nextjs', 'nuxt', 'gatsby', 'astro'];
+
+/**
+ * Installed before navigation: a minimal React DevTools hook, so React
+ * registers its renderers (and their versions) the way it would with the
+ * extension present. An existing hook is left alone.
+ */
+function installReactHook() {
+  if (window.__REACT_DEVTOOLS_GLOBAL_HOOK__) return;
+  const renderers = new Map();
+  window.__REACT_DEVTOOLS_GLOBAL_HOOK__ = {
+    renderers,
+    supportsFiber: true,
+    inject(renderer) {
+      const id = renderers.size + 1;
+      renderers.set(id, renderer);
+      return id;
+    },
+    onScheduleFiberRoot() {},
+    onCommitFiberRoot() {},
+    onCommitFiberUnmount() {},
+    onPostCommitFiberRoot() {},
+    checkDCE() {},
+  };
+}
+
+/**
+ * Runs inside the page: globals and hooks frameworks leave behind at runtime.
+ * Returns [{ key, version, evidence: [...] }].
+ */
+function probeRuntime() {
+  const found = [];
+  const add = (key, version, evidence) => {
+    if (!evidence.length) return;
+    found.push({ key, version: version || null, evidence });
+  };
+  const w = window;
+  const str = (v) => (typeof v === 'string' && v ? v : null);
+
+  // React: renderers registered on the DevTools hook, or fiber keys on the root
+  {
+    const evidence = [];
+    let version = null;
+    const hook = w.__REACT_DEVTOOLS_GLOBAL_HOOK__;
+    if (hook && hook.renderers && hook.renderers.size) {
+      evidence.push('__REACT_DEVTOOLS_GLOBAL_HOOK__.renderers');
+      for (const r of hook.renderers.values()) {
+        version = version || str(r.version);
+      }
+    }
+    if (w.React && str(w.React.version)) {
+      evidence.push('window.React.version');
+      version = version || w.React.version;
+    }
+    const root = document.querySelector(
+      '#root, #__next, #___gatsby, [data-reactroot]',
+    );
+    if (
+      root &&
+      ('_reactRootContainer' in root ||
+        Object.keys(root).some((k) => k.startsWith('__reactContainer$')))
+    ) {
+      evidence.push('React root container');
+    }
+    add('react', version, evidence);
+  }
+
+  // Next.js
+  {
+    const evidence = [];
+    if (w.next && str(w.next.version)) evidence.push('window.next.version');
+    if (w.__NEXT_DATA__) evidence.push('window.__NEXT_DATA__');
+    if (Array.isArray(w.__next_f)) evidence.push('self.__next_f');
+    add('nextjs', w.next && str(w.next.version), evidence);
+  }
+
+  // Vue: __VUE__ flag, app instance on its mount point (Vue 3) or root vm (Vue 2)
+  let vueApp = null;
+  {
+    const evidence = [];
+    let version = null;
+    if (w.__VUE__) evidence.push('window.__VUE__');
+    const mount = document.querySelector('[data-v-app], #__nuxt, #app');
+    vueApp = mount && mount.__vue_app__;
+    if (vueApp) {
+      evidence.push('__vue_app__');
+      version = str(vueApp.version);
+    } else if (mount && mount.__vue__) {
+      evidence.push('__vue__');
+      version = str(
+        mount.__vue__.constructor && mount.__vue__.constructor.version,
+      );
+    }
+    if (w.Vue && str(w.Vue.version)) {
+      evidence.push('window.Vue.version');
+      version = version || w.Vue.version;
+    }
+    add('vue', version, evidence);
+  }
+
+  // Nuxt: serialized state, or the nuxtApp behind the Vue app (Nuxt 3)
+  {
+    const evidence = [];
+    let version = null;
+    if (w.__NUXT__) evidence.push('window.__NUXT__');
+    if (w.$nuxt) evidence.push('window.$nuxt');
+    const nuxtApp = vueApp && vueApp.$nuxt;
+    if (nuxtApp) {
+      evidence.push('nuxtApp');
+      version = str(nuxtApp.versions && nuxtApp.versions.nuxt);
+    }
+    add('nuxt', version, evidence);
+  }
+
+  // Angular: ng-version on the bootstrapped root, ng debug API in dev builds
+  {
+    const evidence = [];
+    const el = document.querySelector('[ng-version]');
+    if (el) evidence.push('[ng-version]');
+    if (w.ng && typeof w.ng.getComponent === 'function') {
+      evidence.push('ng.getComponent');
+    }
+    if (w.getAllAngularRootElements) evidence.push('getAllAngularRootElements');
+    add('angular', el && el.getAttribute('ng-version'), evidence);
+  }
+
+  // Svelte 4+ registers its major version in window.__svelte.v
+  {
+    const evidence = [];
+    let version = null;
+    if (w.__svelte) {
+      evidence.push('window.__svelte');
+      if (w.__svelte.v && w.__svelte.v.size) {
+        version = [...w.__svelte.v].join(', ');
+      }
+    }
+    add('svelte', version, evidence);
+  }
+
+  // Gatsby loader globals
+  {
+    const evidence = [];
+    if (w.___loader) evidence.push('window.___loader');
+    if (w.___gatsby) evidence.push('window.___gatsby');
+    add('gatsby', null, evidence);
+  }
+
+  // Astro island runtime
+  {
+    const evidence = [];
+    if (customElements.get('astro-island')) {
+      evidence.push('astro-island element');
+    }
+    if (w.Astro) evidence.push('self.Astro');
+    add('astro', null, evidence);
+  }
+
+  return found;
+}
+
 export class FrameworkAnalyzer {
   constructor() {
     this.frameworks = {
@@ -18,6 +181,26 @@ export class FrameworkAnalyzer {
           { type: 'link_href', pattern: /\/_next\/static\// },
         ],
       },
+      nuxt: {
+        name: 'Nuxt',
+        patterns: [
+          { type: 'script', pattern: /\/_nuxt\// },
+          { type: 'element', selector: '#__nuxt' },
+          { type: 'script_json_id', id: '__NUXT_DATA__' },
+          { type: 'script_content', pattern: /window\.__NUXT__/ },
+          { type: 'link_href', pattern: /\/_nuxt\// },
+        ],
+      },
+      astro: {
+        name: 'Astro',
+        patterns: [
+          { type: 'element', selector: 'astro-island' },
+          { type: 'script', pattern: /\/_astro\// },
+          { type: 'link_href', pattern: /\/_astro\// },
+          { type: 'meta', name: 'generator', pattern: /astro/i },
+          { type: 'attribute', pattern: /^data-astro-cid-/ },
+        ],
+      },
       gatsby: {
         name: 'Gatsby',
         patterns: [
@@ -76,7 +259,17 @@ export class FrameworkAnalyzer {
     };
   }
 
-  async analyze(html, _url = '') {
+  // Detectors from a rules file (see detector-rules.js); same keys replace built-ins
+  addDetectors(detectors) {
+    Object.assign(this.frameworks, detectors);
+  }
+
+  /**
+   * live: what the preflight page saw — runtime (detectRuntime() results,
+   * merged over the static scores), headers (main document response) and
+   * cookies ([{ name, value }]) for header/cookie patterns.
+   */
+  async analyze(html, _url = '', live = {}) {
     const $ = load(html);
     const results = {
       detected: [],
@@ -86,16 +279,21 @@ export class FrameworkAnalyzer {
     };
 
     for (const [key, framework] of Object.entries(this.frameworks)) {
-      const confidence = this.testFramework($, framework, html);
-      if (confidence > 0.3) {
+      const evidence = this.matchedPatterns($, framework, html, live);
+      const confidence = evidence.length / framework.patterns.length;
+      if (this.passesThreshold(framework, confidence)) {
         results.detected.push({
           key,
           name: framework.name,
           confidence,
+          version: this.staticVersion($, key),
+          evidence,
         });
       }
     }
 
+    this.mergeRuntime(results.detected, live.runtime);
+
     results.detected.sort((a, b) => b.confidence - a.confidence);
     if (results.detected.length > 0) {
       results.primaryFramework = results.detected[0];
@@ -106,20 +304,129 @@ export class FrameworkAnalyzer {
     return results;
   }
 
-  testFramework($, framework, html) {
-    let score = 0;
-    let maxScore = framework.patterns.length;
+  testFramework($, framework, html, live = {}) {
+    return (
+      this.matchedPatterns($, framework, html, live).length /
+      framework.patterns.length
+    );
+  }
+
+  passesThreshold(framework, confidence) {
+    return framework.threshold === undefined
+      ? confidence > 0.3
+      : confidence >= framework.threshold;
+  }
+
+  // Descriptions of the patterns that matched, shown as evidence
+  matchedPatterns($, framework, html, live = {}) {
+    return framework.patterns
+      .filter((pattern) => this.testPattern($, pattern, html, live))
+      .map((pattern) => this.describePattern(pattern));
+  }
 
-    for (const pattern of framework.patterns) {
-      if (this.testPattern($, pattern, html)) {
-        score++;
+  // JS mode a matching rules-file detector asks for: { key, name, jsMode } or null
+  preferredJsMode(html, live = {}) {
+    const $ = load(html || '');
+    let best = null;
+    for (const [key, framework] of Object.entries(this.frameworks)) {
+      if (!framework.jsMode) continue;
+      const confidence = this.testFramework($, framework, html, live);
+      if (!this.passesThreshold(framework, confidence)) continue;
+      if (!best || confidence > best.confidence) {
+        best = {
+          key,
+          name: framework.name,
+          jsMode: framework.jsMode,
+          confidence,
+        };
       }
     }
+    return best;
+  }
+
+  describePattern(pattern) {
+    switch (pattern.type) {
+      case 'script':
+        return `script src ${pattern.pattern}`;
+      case 'script_content':
+        return `inline script ${pattern.pattern}`;
+      case 'script_json_id':
+        return `script#${pattern.id}`;
+      case 'element':
+        return pattern.selector;
+      case 'meta':
+        return `meta ${pattern.name} ${pattern.pattern}`;
+      case 'class':
+        return `class ${pattern.pattern}`;
+      case 'attribute':
+        return `attribute ${pattern.pattern}`;
+      case 'link_href':
+        return `link href ${pattern.pattern}`;
+      case 'header':
+        return `header ${pattern.name}${pattern.pattern ? ` ${pattern.pattern}` : ''}`;
+      case 'cookie':
+        return `cookie ${pattern.pattern}`;
+      default:
+        return pattern.type;
+    }
+  }
+
+  // Versions the markup states outright: ng-version, or a generator like "Astro v4.5.0"
+  staticVersion($, key) {
+    if (key === 'angular') {
+      const v = $('[ng-version]').first().attr('ng-version');
+      if (v) return v;
+    }
+    const name = this.frameworks[key]?.name.replace(/\.js$/, '');
+    const generator = $('meta[name="generator"]').attr('content') || '';
+    if (!name || !generator.toLowerCase().includes(name.toLowerCase())) {
+      return null;
+    }
+    const m = /v?(\d+(?:\.\d+)+)/.exec(generator);
+    return m ? m[1] : null;
+  }
+
+  // Before navigation, so frameworks register with the hooks probeRuntime reads
+  async installRuntimeHooks(page) {
+    try {
+      await page.evaluateOnNewDocument(installReactHook);
+    } catch {
+      // ignore
+    }
+  }
+
+  async detectRuntime(page) {
+    try {
+      return (await page.evaluate(probeRuntime)) || [];
+    } catch {
+      return [];
+    }
+  }
 
-    return score / maxScore;
+  mergeRuntime(detected, runtime) {
+    for (const { key, version, evidence } of runtime || []) {
+      const framework = this.frameworks[key];
+      if (!framework) continue;
+      const confidence = META_FRAMEWORKS.includes(key) ? 1 : RUNTIME_CONFIDENCE;
+      const runtimeEvidence = evidence.map((e) => `runtime ${e}`);
+      const entry = detected.find((d) => d.key === key);
+      if (entry) {
+        entry.confidence = Math.max(entry.confidence, confidence);
+        entry.version = version || entry.version;
+        entry.evidence = [...runtimeEvidence, ...entry.evidence];
+      } else {
+        detected.push({
+          key,
+          name: framework.name,
+          confidence,
+          version,
+          evidence: runtimeEvidence,
+        });
+      }
+    }
   }
 
-  testPattern($, pattern, html) {
+  testPattern($, pattern, html, live = {}) {
     try {
       switch (pattern.type) {
         case 'script':
@@ -157,6 +464,17 @@ export class FrameworkAnalyzer {
           return $('link[href]')
             .toArray()
             .some((el) => pattern.pattern.test($(el).attr('href') || ''));
+        case 'header': {
+          const value = (live.headers || {})[pattern.name];
+          if (value === undefined) return false;
+          return !pattern.pattern || pattern.pattern.test(String(value));
+        }
+        case 'cookie':
+          return (live.cookies || []).some(
+            (c) =>
+              pattern.pattern.test(c.name) &&
+              (!pattern.value || pattern.value.test(c.value || '')),
+          );
         default:
           return false;
       }
@@ -179,7 +497,14 @@ export class FrameworkAnalyzer {
   assessComplexity($, detected) {
     let score = 0;
 
-    const highComplexity = ['nextjs', 'gatsby', 'react', 'vue', 'angular'];
+    const highComplexity = [
+      'nextjs',
+      'nuxt',
+      'gatsby',
+      'react',
+      'vue',
+      'angular',
+    ];
     for (const framework of detected) {
       if (highComplexity.includes(framework.key)) {
         score += 3;
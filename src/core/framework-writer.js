@@ -1,11 +1,29 @@
 import chalk from 'chalk';
 import fs from 'fs-extra';
 import path from 'path';
+import { load } from 'cheerio';
+import { correctAssetExtension } from './filename-utils.js';
+import { DESKTOP_USER_AGENT } from './browser-engine.js';
+
+// SSR roots frameworks hydrate, and the bundles dropped when hydration blanks them
+const REACT_HYDRATION = {
+  root: '#__next, #root, [data-reactroot]',
+  scripts: 'script[src*="/_next/"],link[rel="preload"][as="script"]',
+};
+const NUXT_HYDRATION = {
+  root: '#__nuxt, #app, [data-server-rendered]',
+  scripts:
+    'script[src*="/_nuxt/"],link[rel="modulepreload"][href*="/_nuxt/"],link[rel="preload"][as="script"]',
+};
 
 export class FrameworkWriter {
   constructor(cloner) {
     this.cloner = cloner;
     this.assetMappings = new Map(); // absolute URL (and alternates) -> local ./assets/... path
+    this.renamedAssets = new Map(); // 'images/x.png' -> 'images/x.jpg' (content-sniffed)
+    this.cssImports = new Map(); // absolute stylesheet URL -> filename in assets/css
+    this.fetchStats = { browser: 0, axios: 0 };
+    this.imageSwaps = new Map(); // './assets/images/x.jpg' -> WebP variant, for the runtime rewriter
   }
 
   // PUBLIC: write HTML only (used by auto-fallback), reusing existing mappings and the current disableJs flag
@@ -13,22 +31,286 @@ export class FrameworkWriter {
     const html = await this.generateExactHTMLAndReturn();
     await fs.writeFile(
       path.join(this.cloner.options.outputDir, 'index.html'),
-      html,
+      this.withOptimizedImages(html),
       'utf8',
     );
   }
 
-  addOfflineErrorHandling($) {
-    const isNextJs =
-      this.cloner.analysis?.primaryFramework?.key === 'nextjs' ||
-      $('#__next').length > 0 ||
-      $('script[src*="_next"]').length > 0;
-    const isReact =
-      this.cloner.analysis?.primaryFramework?.key === 'react' ||
-      $('#root').length > 0 ||
-      $('script[src*="react"]').length > 0;
+  /**
+   * PUBLIC: --keep-both. Renders the JS mode index.html doesn't use from the
+   * pre-generation DOM (index.static.html, or index.js.html when the mirror
+   * is static) and writes compare.html, which switches between the two.
+   */
+  async writeAlternateVariant() {
+    if (!this.pristineHtml) return [];
+    const options = this.cloner.options;
+    const saved = {
+      $: this.cloner.$,
+      disableJs: options.disableJs,
+      astroIslands: options.astroIslands,
+    };
+    const staticAlternate = !options.disableJs;
+    const file = staticAlternate ? 'index.static.html' : 'index.js.html';
+
+    this.cloner.$ = load(this.pristineHtml);
+    options.disableJs = staticAlternate;
+    if (staticAlternate) options.astroIslands = false;
+    let html;
+    try {
+      html = await this.generateExactHTMLAndReturn();
+    } finally {
+      this.cloner.$ = saved.$;
+      options.disableJs = saved.disableJs;
+      options.astroIslands = saved.astroIslands;
+    }
+
+    const outputDir = options.outputDir;
+    await fs.writeFile(
+      path.join(outputDir, file),
+      this.withOptimizedImages(html),
+      'utf8',
+    );
+    const variants = staticAlternate
+      ? [
+          ['index.html', 'JS on'],
+          [file, 'Static (JS off)'],
+        ]
+      : [
+          [file, 'JS on'],
+          ['index.html', 'Static (JS off)'],
+        ];
+    await fs.writeFile(
+      path.join(outputDir, 'compare.html'),
+      this.comparePage(variants),
+      'utf8',
+    );
+    return [file, 'compare.html'];
+  }
+
+  // Toolbar plus an iframe; the chosen variant is kept in the URL hash
+  comparePage(variants) {
+    const buttons = variants
+      .map(
+        ([file, label], i) =>
+          `<button data-src="${file}"${i === 0 ? ' class="on"' : ''}>${label}</button>`,
+      )
+      .join('');
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Compare variants - ${this.cloner.domain}</title>
+<style>
+  html, body { margin: 0; height: 100%; font: 14px system-ui, sans-serif; }
+  body { display: flex; flex-direction: column; }
+  nav { display: flex; gap: 8px; align-items: center; padding: 8px 12px; background: #0b0f16; color: #e6e9f2; }
+  nav span { margin-right: auto; color: #8b93a7; }
+  button { padding: 6px 12px; border: 1px solid #243041; border-radius: 6px; background: #151b26; color: #e6e9f2; cursor: pointer; }
+  button.on { background: #7c3aed; border-color: #7c3aed; }
+  iframe { flex: 1; width: 100%; border: 0; }
+</style>
+</head>
+<body>
+<nav><span>${this.cloner.url}</span>${buttons}<a href="preflight-report.json" style="color:#06b6d4">preflight report</a></nav>
+<iframe src="${variants[0][0]}" title="Mirrored page"></iframe>
+<script>
+  var frame = document.querySelector('iframe');
+  var buttons = document.querySelectorAll('button[data-src]');
+  function show(src) {
+    frame.src = src;
+    buttons.forEach(function (b) { b.classList.toggle('on', b.dataset.src === src); });
+    history.replaceState(null, '', '#' + src);
+  }
+  buttons.forEach(function (b) {
+    b.addEventListener('click', function () { show(b.dataset.src); });
+  });
+  var initial = location.hash.slice(1);
+  if (initial && document.querySelector('button[data-src="' + initial + '"]')) show(initial);
+</script>
+</body>
+</html>
+`;
+  }
+
+  // PUBLIC: write every crawled page to its own path/index.html with asset paths relative to that folder
+  async writeCrawledPages() {
+    const crawler = this.cloner.siteCrawler;
+    for (const record of crawler.pages) {
+      const html = await this.cloner.withPageContext(record, () =>
+        this.generateExactHTMLAndReturn(),
+      );
+      const prefix = path.posix.relative(
+        path.posix.dirname(record.localPath),
+        '.',
+      );
+      const dest = path.join(this.cloner.options.outputDir, record.localPath);
+      await fs.ensureDir(path.dirname(dest));
+      await fs.writeFile(
+        dest,
+        this.withOptimizedImages(
+          this.relocateAssetPaths(html, prefix ? `${prefix}/` : './'),
+        ),
+        'utf8',
+      );
+    }
+  }
 
-    if (isNextJs || isReact) {
+  // Point ./assets/... references at the output root from a nested page folder
+  relocateAssetPaths(html, prefix) {
+    if (prefix === './') return html;
+    return html.replace(/(^|[\s"'(,=])\.\/assets\//g, `$1${prefix}assets/`);
+  }
+
+  // After --optimize-images: wrap local <img> in <picture> with AVIF/WebP sources in every written page
+  async applyOptimizedImages() {
+    const optimizer = this.cloner.imageOptimizer;
+    if (!optimizer.variants.size) return;
+
+    // Runtime-inserted images get no <picture>, so the rewriter map points at WebP.
+    // assetMappings keeps the original format for the <img src> fallback.
+    this.imageSwaps = new Map();
+    for (const local of this.assetMappings.values()) {
+      const preferred = optimizer.preferredFor(local);
+      if (preferred) this.imageSwaps.set(local, preferred);
+    }
+
+    const pages = [
+      'index.html',
+      ...this.cloner.siteCrawler.pages.map((p) => p.localPath),
+    ];
+    for (const rel of pages) {
+      const file = path.join(this.cloner.options.outputDir, rel);
+      if (!(await fs.pathExists(file))) continue;
+      const html = await fs.readFile(file, 'utf8');
+      await fs.writeFile(file, this.withOptimizedImages(html), 'utf8');
+    }
+  }
+
+  // Pages written after optimization (auto-fallback, --keep-both) get the same <picture> pass
+  withOptimizedImages(html) {
+    if (!this.cloner.imageOptimizer.variants.size) return html;
+    return this.wrapPictures(html, this.imageSwaps);
+  }
+
+  wrapPictures(html, swaps) {
+    const variants = this.cloner.imageOptimizer.variants;
+    const $ = load(html);
+    // Nested crawled pages reference ../assets; split the prefix off to look up variants
+    const split = (ref) => {
+      const m = /^((?:\.\.\/)+|\.\/)assets\/images\/([^?#\s]+)$/.exec(
+        ref || '',
+      );
+      return m ? { prefix: m[1], key: `./assets/images/${m[2]}` } : null;
+    };
+    const withPrefix = (prefix, p) => prefix + p.slice(2);
+
+    $('img[src]').each((_, el) => {
+      const $el = $(el);
+      if ($el.parent().is('picture')) return;
+      const src = split($el.attr('src'));
+      if (!src || !variants.has(src.key)) return;
+
+      const srcset = $el.attr('srcset');
+      const sources = variants.get(src.key).map(({ type, path: p }) => {
+        if (!srcset) return { type, srcset: withPrefix(src.prefix, p) };
+        // A typed <source> is only valid when every candidate has that format
+        const entries = srcset
+          .split(',')
+          .map((s) => s.trim())
+          .filter(Boolean)
+          .map((entry) => {
+            const [url, ...desc] = entry.split(/\s+/);
+            const ref = split(url);
+            const v =
+              ref && variants.get(ref.key)?.find((x) => x.type === type);
+            return v
+              ? [withPrefix(ref.prefix, v.path), ...desc].join(' ')
+              : null;
+          });
+        return entries.every(Boolean)
+          ? { type, srcset: entries.join(', ') }
+          : null;
+      });
+
+      const usable = sources.filter(Boolean);
+      if (!usable.length) return;
+      const sizes = $el.attr('sizes');
+      $el.wrap('<picture></picture>');
+      for (const source of usable) {
+        const $source = $('<source>')
+          .attr('type', source.type)
+          .attr('srcset', source.srcset);
+        if (sizes) $source.attr('sizes', sizes);
+        $el.before($source);
+      }
+    });
+
+    // Keep the embedded runtime rewriter map in sync with assetMappings
+    $('script:not([src])').each((_, el) => {
+      const $el = $(el);
+      const code = $el.html() || '';
+      if (!code.includes('const MAP = ')) return;
+      let updated = code;
+      for (const [from, to] of swaps) {
+        // Values may carry a ../ prefix on nested pages (see relocateAssetPaths)
+        const escaped = from.slice(2).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        updated = updated.replace(
+          new RegExp(`("(?:\\./|(?:\\.\\./)+))${escaped}"`, 'g'),
+          `$1${to.slice(2)}"`,
+        );
+      }
+      if (updated !== code) $el.text(updated);
+    });
+
+    return $.html();
+  }
+
+  // Rewrite <a href> links to pages mirrored by the crawler into relative local paths
+  rewritePageLinks($) {
+    const crawler = this.cloner.siteCrawler;
+    if (!crawler.pages.length) return;
+
+    const fromPath = crawler.localPathFor(this.cloner.url) || 'index.html';
+    $('a[href]').each((_, el) => {
+      const $el = $(el);
+      const href = $el.attr('href');
+      if (!href || href.startsWith('#')) return;
+
+      let abs;
+      try {
+        abs = new URL(href, this.cloner.url);
+      } catch {
+        return;
+      }
+      const local = crawler.localPathFor(abs.href);
+      if (!local) return;
+      $el.attr('href', crawler.relativeHref(fromPath, local) + abs.hash);
+    });
+  }
+
+  // SSR root the framework hydrates, and the bundles to drop when hydration blanks it
+  hydrationTarget($) {
+    const key = this.cloner.analysis?.primaryFramework?.key;
+    if (key === 'nuxt' || key === 'vue' || $('#__nuxt').length > 0) {
+      return NUXT_HYDRATION;
+    }
+    if (
+      key === 'nextjs' ||
+      key === 'react' ||
+      $('#__next, #root, [data-reactroot]').length > 0
+    ) {
+      return REACT_HYDRATION;
+    }
+    return null;
+  }
+
+  addOfflineErrorHandling($) {
+    const target =
+      this.hydrationTarget($) ||
+      ($('script[src*="_next"], script[src*="react"]').length > 0
+        ? REACT_HYDRATION
+        : null);
+    if (target) {
       const errorBoundaryScript = `
 <script>
 (function() {
@@ -36,7 +318,7 @@ export class FrameworkWriter {
     try {
       const overlay = document.querySelector('[data-nextjs-dialog-overlay]');
       if (overlay) overlay.style.display = 'none';
-      const root = document.querySelector('#__next, #root, [data-reactroot]');
+      const root = document.querySelector(${JSON.stringify(target.root)});
       if (root && (!root.innerHTML || root.innerHTML.trim() === '')) {
         root.innerHTML = '<div style="min-height:100vh;display:flex;align-items:center;justify-content:center;color:#fff;background:linear-gradient(135deg,#667eea 0%,#764ba2 100%);font-family:-apple-system,BlinkMacSystemFont,Segoe UI,Roboto,sans-serif;padding:2rem;text-align:center;"><div style="background:rgba(255,255,255,0.1);backdrop-filter:blur(10px);border-radius:20px;padding:3rem;max-width:600px;box-shadow:0 8px 32px rgba(0,0,0,0.1);"><h1 style="margin:0 0 1rem 0;font-weight:300;">🪞 Offline Mirror</h1><p style="opacity:.9;">This is an offline mirror of <strong>${this.cloner.url}</strong></p><p style="opacity:.7;">Some interactive features may not work in offline mode.</p><div style="margin-top:1rem;opacity:.6;">Generated by Mirror Web CLI v1.0</div></div></div>';
       }
@@ -52,20 +334,16 @@ export class FrameworkWriter {
     }
   }
 
-  // Guard that preserves SSR DOM; also handles file:// case by disabling Next/React scripts immediately
+  // Guard that preserves SSR DOM; also handles file:// case by disabling Next/React/Nuxt scripts immediately
   injectHydrationGuard($) {
-    const isReactOrNext =
-      this.cloner.analysis?.primaryFramework?.key === 'nextjs' ||
-      this.cloner.analysis?.primaryFramework?.key === 'react' ||
-      $('#__next, #root, [data-reactroot]').length > 0;
-
-    if (!isReactOrNext) return;
+    const target = this.hydrationTarget($);
+    if (!target) return;
 
     const guard = `
 <script>
 (function(){
   try {
-    var ROOT_SEL = '#__next, #root, [data-reactroot]';
+    var ROOT_SEL = ${JSON.stringify(target.root)};
     var root = document.querySelector(ROOT_SEL);
     if (!root) return;
     var ssrSnapshot = root.innerHTML;
@@ -73,7 +351,7 @@ export class FrameworkWriter {
 
     function stripNextScripts() {
       try {
-        document.querySelectorAll('script[src*="/_next/"],link[rel="preload"][as="script"]').forEach(function(n){ n.parentNode && n.parentNode.removeChild(n); });
+        document.querySelectorAll(${JSON.stringify(target.scripts)}).forEach(function(n){ n.parentNode && n.parentNode.removeChild(n); });
         // Try to disable inline bootstrap by toggling a flag that guards common Next/React bootstraps
         window.__MW_DISABLE_NEXT = true;
       } catch(e){}
@@ -125,6 +403,43 @@ export class FrameworkWriter {
     $('head').prepend(guard);
   }
 
+  // Module scripts are saved under renamed files: map their original URLs (absolute, root-relative
+  // and the sibling ./x.js imports chunks use among themselves) to the mirrored copies
+  injectModuleImportMap($, match) {
+    const origin = new URL(this.cloner.url).origin;
+    const imports = {};
+    for (const [url, local] of this.assetMappings.entries()) {
+      let u;
+      try {
+        u = new URL(url);
+      } catch {
+        continue;
+      }
+      if (!/\.m?js$/i.test(u.pathname) || !match(u)) continue;
+      imports[u.href] = local;
+      if (u.origin === origin) imports[u.pathname] = local;
+      const sibling = `./assets/js/${path.posix.basename(u.pathname)}`;
+      if (sibling !== local) imports[sibling] = local;
+    }
+    if (!Object.keys(imports).length) return;
+
+    // Only one import map is honored by older browsers: merge into the page's own
+    const existing = $('script[type="importmap"]').first();
+    if (existing.length) {
+      try {
+        const map = JSON.parse(existing.html() || '{}');
+        map.imports = { ...imports, ...(map.imports || {}) };
+        existing.html(JSON.stringify(map));
+        return;
+      } catch {
+        // ignore
+      }
+    }
+    $('head').prepend(
+      `<script type="importmap">${JSON.stringify({ imports })}</script>`,
+    );
+  }
+
   // Remove all scripts for a static snapshot (prevents Next/React from wiping SSR HTML)
   stripAllScriptsForStaticSnapshot($) {
     $('script').remove();
@@ -134,6 +449,21 @@ export class FrameworkWriter {
 
   async generateOfflineProject() {
     await fs.ensureDir(this.cloner.options.outputDir);
+    // Browser bodies still being read are needed before anything is fetched
+    await this.cloner.networkRecorder.flush();
+    if (this.cloner.apiReplay.isEnabled()) await this.cloner.apiReplay.write();
+    if (this.cloner.streamReplay.isEnabled()) {
+      await this.cloner.streamReplay.write();
+    }
+    if (this.cloner.nextPayloadCapture.isEnabled()) {
+      await this.cloner.nextPayloadCapture.captureAll();
+    }
+    if (this.cloner.nuxtPayloadCapture.isEnabled()) {
+      await this.cloner.nuxtPayloadCapture.captureAll();
+    }
+    if (this.cloner.gatsbyDataCapture.isEnabled()) {
+      await this.cloner.gatsbyDataCapture.captureAll();
+    }
 
     const structure = {
       assets: {
@@ -150,21 +480,40 @@ export class FrameworkWriter {
 
     this.buildAssetMappings();
 
+    // --keep-both renders the other JS mode from the same DOM later
+    if (this.cloner.options.keepBoth) this.pristineHtml = this.cloner.$.html();
     const htmlWithJs = await this.generateExactHTMLAndReturn();
     await fs.writeFile(
       path.join(this.cloner.options.outputDir, 'index.html'),
       htmlWithJs,
       'utf8',
     );
+    await this.writeCrawledPages();
 
     await this.downloadAssetsWithExactNames();
+    await this.applyRenamedAssets();
+    if (!this.cloner.options.quiet) {
+      const { browser, axios } = this.fetchStats;
+      console.log(
+        chalk.gray(
+          `  ♻️  Reused ${browser} asset bodies from the browser, downloaded ${axios}`,
+        ),
+      );
+    }
+    if (this.cloner.imageOptimizer.isEnabled()) {
+      await this.cloner.imageOptimizer.optimizeAll();
+      await this.applyOptimizedImages();
+    }
     await this.generateOfflinePackageJson();
     await this.generateOfflineReadme();
   }
 
   buildAssetMappings() {
     for (const s of this.cloner.assets.styles) {
-      if (s.url) this.assetMappings.set(s.url, `./assets/css/${s.filename}`);
+      if (!s.url) continue;
+      this.assetMappings.set(s.url, `./assets/css/${s.filename}`);
+      // Linked sheets are downloaded anyway; @import rules just point at them
+      this.cssImports.set(s.url, s.filename);
     }
     for (const s of this.cloner.assets.scripts) {
       if (s.url) this.assetMappings.set(s.url, `./assets/js/${s.filename}`);
@@ -196,6 +545,9 @@ export class FrameworkWriter {
     for (const m of this.cloner.assets.media) {
       if (m.url) this.assetMappings.set(m.url, `./assets/media/${m.filename}`);
     }
+    for (const d of this.cloner.assets.data) {
+      if (d.url) this.assetMappings.set(d.url, `./assets/data/${d.filename}`);
+    }
   }
 
   ensureMappedImage(absUrl) {
@@ -251,14 +603,26 @@ export class FrameworkWriter {
     if (this.cloner.options.disableJs) return;
 
     const map = Object.fromEntries(this.assetMappings.entries());
+    // Route payloads for client-side navigation (Next.js RSC/_next/data, Nuxt _payload.json, Gatsby page-data)
+    const payloads = Object.fromEntries([
+      ...this.cloner.nextPayloadCapture.mappings,
+      ...this.cloner.nuxtPayloadCapture.mappings,
+      ...this.cloner.gatsbyDataCapture.mappings,
+    ]);
+    const pathPrefix = this.cloner.gatsbyDataCapture.pathPrefix;
     const debug = !!this.cloner.options.debug;
+    // Relative URLs built by scripts resolve against the original page, not the mirror
+    const origin = this.cloner.url;
 
     const runtimeScript = `
 <script>
 (function(){
   try{
     const MAP = ${JSON.stringify(map)};
+    const PAYLOADS = ${JSON.stringify(payloads)};
+    const PATH_PREFIX = ${JSON.stringify(pathPrefix)};
     const DEBUG = ${JSON.stringify(debug)};
+    const ORIGIN = ${JSON.stringify(origin)};
     function log(){ if (DEBUG) console.log.apply(console, ['[MW rewrite]'].concat([].slice.call(arguments))); }
     function resolve(u){
       if (!u) return null;
@@ -273,6 +637,29 @@ export class FrameworkWriter {
           }
         }catch{}
       }
+      if (typeof u === 'string' && !/^(data:|blob:|\\.\\.?\\/assets\\/)/.test(u)) {
+        try{
+          const abs = new URL(u, ORIGIN).href;
+          if (MAP[abs]) return MAP[abs];
+        }catch{}
+      }
+      return routePayload(u);
+    }
+    // Client navigation payloads are requested from the current (local) origin: match on the path
+    function routePayload(u){
+      try{
+        const p = new URL(u, location.href);
+        if (p.searchParams.has('_rsc')) {
+          const route = p.pathname.replace(/\\/index\\.html$/, '/').replace(/\\/+$/, '') || '/';
+          return PAYLOADS['rsc:' + route] || null;
+        }
+        if (PAYLOADS['path:' + p.pathname]) return PAYLOADS['path:' + p.pathname];
+        // Gatsby bakes its path prefix into every request; the mirror is served from the root
+        if (PATH_PREFIX && p.pathname.indexOf(PATH_PREFIX + '/') === 0) {
+          return PAYLOADS['path:' + p.pathname.slice(PATH_PREFIX.length)] || null;
+        }
+        return null;
+      }catch{}
       return null;
     }
     function extractCssUrl(val){
@@ -330,6 +717,47 @@ export class FrameworkWriter {
       });
     });
     obs.observe(document.documentElement, {subtree:true, childList:true, attributes:true, attributeFilter:['src','href','poster','style','srcset','imagesrcset']});
+    // Runtime requests (fetched JSON/wasm, XHR, worker scripts) go to the mirrored copies
+    if (window.fetch) {
+      const nativeFetch = window.fetch;
+      window.fetch = function(input, init){
+        try{
+          const u = typeof input === 'string' ? input : (input && input.url);
+          const method = ((init && init.method) || (input && input.method) || 'GET').toUpperCase();
+          const r = method === 'GET' ? resolve(String(u)) : null;
+          if (r) {
+            log('fetch:', u, '->', r);
+            // The router only accepts flight data served as text/x-component
+            if (r.indexOf('/_next/rsc/') !== -1) {
+              return nativeFetch.call(this, r, init).then(function(res){
+                return new Response(res.body, { status: res.status, statusText: res.statusText, headers: { 'content-type': 'text/x-component' } });
+              });
+            }
+            return nativeFetch.call(this, r, init);
+          }
+        }catch{}
+        return nativeFetch.apply(this, arguments);
+      };
+    }
+    if (window.XMLHttpRequest) {
+      const nativeOpen = XMLHttpRequest.prototype.open;
+      XMLHttpRequest.prototype.open = function(method, url){
+        const args = [].slice.call(arguments);
+        const r = String(method).toUpperCase() === 'GET' ? resolve(String(url)) : null;
+        if (r) { log('xhr:', url, '->', r); args[1] = r; }
+        return nativeOpen.apply(this, args);
+      };
+    }
+    if (window.Worker) {
+      const NativeWorker = window.Worker;
+      const PatchedWorker = function(url, opts){
+        const r = resolve(String(url));
+        if (r) log('worker:', url, '->', r);
+        return new NativeWorker(r || url, opts);
+      };
+      PatchedWorker.prototype = NativeWorker.prototype;
+      window.Worker = PatchedWorker;
+    }
   }catch(e){ if (${JSON.stringify(
     !!this.cloner.options.debug,
   )}) console.warn('[MW runtime error]', e); }
@@ -413,21 +841,39 @@ export class FrameworkWriter {
       `<meta name="mirrored-date" content="${new Date().toISOString()}">`,
     );
 
-    // JS kept or removed based on auto decision
+    // JS kept or removed based on auto decision; Astro keeps just its islands either way
     const shouldStrip = this.cloner.options.disableJs;
+    const islands = this.cloner.astroIslands.isEnabled($);
 
-    if (shouldStrip) {
+    if (shouldStrip && !islands) {
       this.stripAllScriptsForStaticSnapshot($);
     } else {
+      // Filter first so the shims injected below survive
+      if (islands) {
+        this.cloner.astroIslands.keepIslandsOnly($, this.assetMappings);
+      }
       // Guard before other scripts to prevent blank pages on hydration errors
       this.injectHydrationGuard($);
       this.addOfflineErrorHandling($);
       this.injectRuntimeRewriter($);
+      if (this.cloner.apiReplay.isEnabled()) this.cloner.apiReplay.inject($);
+      if (this.cloner.streamReplay.isEnabled()) {
+        this.cloner.streamReplay.inject($);
+      }
       this.enhanceJavaScriptContentRewriting($);
+      if (this.cloner.nuxtPayloadCapture.isEnabled()) {
+        this.cloner.nuxtPayloadCapture.localizeState($, this.assetMappings);
+        this.cloner.nuxtPayloadCapture.injectImportMap($);
+      }
     }
 
     $('img[data-mw-computed]').remove();
 
+    // Mirror the real gatsby-image, not its blur-up placeholder
+    if (this.cloner.gatsbyDataCapture.isGatsby($)) {
+      this.cloner.gatsbyDataCapture.settleImages($);
+    }
+
     $('link[rel="stylesheet"], link[rel="preload"][as="style"]').each(
       (_, el) => {
         const $el = $(el);
@@ -645,6 +1091,9 @@ export class FrameworkWriter {
       }
     });
 
+    // Links between crawled pages
+    this.rewritePageLinks($);
+
     // Safety net: finalize Next.js image replacements
     let html = $.html();
     html = this.finalizeNextImageReplacements(html);
@@ -685,7 +1134,13 @@ export class FrameworkWriter {
     const CONCURRENCY = 8;
 
     const downloadTask = async (task, current, total, type) => {
-      const { url, dest, buffer, headers } = task;
+      const { url, dest, buffer, headers, asset } = task;
+      // Guessed extensions are corrected from the body before writing
+      const save = async (body, contentType) => {
+        const finalDest = this.sniffedDest(dest, body, contentType, type);
+        await fs.writeFile(finalDest, body);
+        if (asset) asset.filename = path.basename(finalDest);
+      };
       const pct = Math.round((current / total) * 100);
       const label = path.basename(dest);
       
@@ -696,19 +1151,17 @@ export class FrameworkWriter {
       try {
         await fs.ensureDir(path.dirname(dest));
         if (buffer) {
-          await fs.writeFile(dest, buffer);
+          await save(buffer);
           return true;
         }
 
-        const res = await axios.get(url, {
-          responseType: 'arraybuffer',
-          timeout: 60000,
+        const res = await this.fetchAsset(axios, url, {
           headers: headers || { 'User-Agent': 'Mozilla/5.0' },
           validateStatus: () => true,
         });
 
         if (res.status >= 200 && res.status < 300 && res.data?.byteLength > 0) {
-          await fs.writeFile(dest, res.data);
+          await save(Buffer.from(res.data), res.headers?.['content-type']);
           return true;
         }
         return false;
@@ -748,6 +1201,7 @@ export class FrameworkWriter {
         url: img.url,
         dest: path.join(this.cloner.options.outputDir, 'assets', 'images', img.filename),
         buffer: img.buffer,
+        asset: img,
         headers: {
           'User-Agent': 'Mozilla/5.0',
           Accept: 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8',
@@ -756,9 +1210,9 @@ export class FrameworkWriter {
       }));
     await runTasks(imageTasks, 'images');
 
-    // 2. CSS
+    // 2. CSS (Google Fonts CSS included: its @font-face files are localized below)
     const cssExternals = this.cloner.assets.styles.filter(
-      (s) => s.url && s.type === 'external',
+      (s) => s.url && (s.type === 'external' || s.type === 'google-fonts'),
     );
     if (cssExternals.length) {
       if (!this.cloner.options.quiet) {
@@ -768,11 +1222,16 @@ export class FrameworkWriter {
       for (const css of cssExternals) {
         current++;
         const dest = path.join(this.cloner.options.outputDir, 'assets', 'css', css.filename);
+        // Google Fonts picks the font format by UA; a bare one gets TTF instead of woff2
+        const reqHeaders = {
+          'User-Agent':
+            css.type === 'google-fonts' ? DESKTOP_USER_AGENT : 'Mozilla/5.0',
+        };
         try {
-          const res = await axios.get(css.url, {
+          const res = await this.fetchAsset(axios, css.url, {
             responseType: 'text',
             timeout: 30000,
-            headers: { 'User-Agent': 'Mozilla/5.0' },
+            headers: reqHeaders,
           });
           let text = res.data || '';
           text = await this.rewriteCssUrlsAndDownload(text, css.url, axios, { fromInline: false });
@@ -789,8 +1248,12 @@ export class FrameworkWriter {
       if (!this.cloner.options.quiet) process.stdout.write('\n');
     }
 
-    // 3. JS
-    if (!this.cloner.options.disableJs) {
+    // 3. JS (Astro islands still need their modules in static mode)
+    if (
+      !this.cloner.options.disableJs ||
+      this.cloner.options.keepBoth ||
+      this.cloner.astroIslands.isEnabled()
+    ) {
       const jsTasks = this.cloner.assets.scripts
         .filter(s => s.url)
         .map(s => ({
@@ -807,6 +1270,7 @@ export class FrameworkWriter {
       .map(f => ({
         url: f.url,
         dest: path.join(this.cloner.options.outputDir, 'assets', 'fonts', f.filename),
+        asset: f,
         headers: { 'User-Agent': 'Mozilla/5.0' }
       }));
     await runTasks(fontTasks, 'fonts');
@@ -817,6 +1281,7 @@ export class FrameworkWriter {
       .map(i => ({
         url: i.url,
         dest: path.join(this.cloner.options.outputDir, 'assets', 'icons', i.filename),
+        asset: i,
         headers: { 'User-Agent': 'Mozilla/5.0' }
       }));
     await runTasks(iconTasks, 'icons');
@@ -827,6 +1292,7 @@ export class FrameworkWriter {
       .map(m => ({
         url: m.url,
         dest: path.join(this.cloner.options.outputDir, 'assets', 'media', m.filename),
+        asset: m,
         headers: {
           'User-Agent': 'Mozilla/5.0',
           Accept: 'video/*;q=0.9,audio/*;q=0.9,*/*;q=0.5',
@@ -834,6 +1300,24 @@ export class FrameworkWriter {
         }
       }));
     await runTasks(mediaTasks, 'media');
+
+    // 7. Runtime data (JSON, wasm, ...) only matters when scripts run
+    if (!this.cloner.options.disableJs || this.cloner.options.keepBoth) {
+      const dataTasks = this.cloner.assets.data
+        .filter((d) => d.url)
+        .map((d) => ({
+          url: d.url,
+          dest: path.join(
+            this.cloner.options.outputDir,
+            'assets',
+            'data',
+            d.filename,
+          ),
+          asset: d,
+          headers: { 'User-Agent': 'Mozilla/5.0' },
+        }));
+      await runTasks(dataTasks, 'data');
+    }
   }
 
   async rewriteCssUrlsAndDownload(
@@ -846,6 +1330,21 @@ export class FrameworkWriter {
     const outputDir = this.cloner.options.outputDir;
     const fromInline = !!options.fromInline;
 
+    // @import rules first (followed recursively); placeholders keep them out of the url() pass
+    const imports = [];
+    cssText = cssText.replace(
+      /@import\s+(?:url\(\s*(['"]?)([^'")]+)\1\s*\)|(['"])([^'"]+)\3)([^;]*);/gi,
+      (rule, _q1, urlRef, _q2, strRef, conditions) => {
+        imports.push({ rule, ref: urlRef || strRef, conditions });
+        return `/*__mw_import_${imports.length - 1}__*/`;
+      },
+    );
+    const importRules = await Promise.all(
+      imports.map((imp) =>
+        this.localizeCssImport(imp, cssBaseUrl, axios, fromInline),
+      ),
+    );
+
     const replacements = await Promise.all(
       Array.from(cssText.matchAll(urlRegex)).map(async (m) => {
         const full = m[0];
@@ -874,28 +1373,40 @@ export class FrameworkWriter {
             ? 'fonts'
             : 'media',
         );
-        const destRel = fromInline
-          ? `./assets/${subdir}/${filename}`
-          : `../${subdir}/${filename}`;
-        const destAbs = path.join(outputDir, 'assets', subdir, filename);
+        // A previous download may already have been renamed after sniffing
+        let name =
+          this.renamedAssets.get(`${subdir}/${filename}`)?.split('/')[1] ||
+          filename;
+        const destAbs = path.join(outputDir, 'assets', subdir, name);
 
         try {
           await fs.ensureDir(path.dirname(destAbs));
           const exists = await fs.pathExists(destAbs);
           if (!exists) {
-            const res = await axios.get(abs, {
-              responseType: 'arraybuffer',
+            const reqHeaders = {
+              'User-Agent': 'Mozilla/5.0',
+              Accept: 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8',
+              Referer: this.cloner.url,
+            };
+            const res = await this.fetchAsset(axios, abs, {
               timeout: 45000,
-              headers: {
-                'User-Agent': 'Mozilla/5.0',
-                Accept: 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8',
-                Referer: this.cloner.url,
-              },
+              headers: reqHeaders,
             });
-            await fs.writeFile(destAbs, res.data);
+            const body = Buffer.from(res.data);
+            const finalDest = this.sniffedDest(
+              destAbs,
+              body,
+              res.headers?.['content-type'],
+              subdir,
+            );
+            await fs.writeFile(finalDest, body);
+            name = path.basename(finalDest);
           }
 
-          this.assetMappings.set(abs, `./assets/${subdir}/${filename}`);
+          const destRel = fromInline
+            ? `./assets/${subdir}/${name}`
+            : `../${subdir}/${name}`;
+          this.assetMappings.set(abs, `./assets/${subdir}/${name}`);
           return { from: full, to: `url('${destRel}')` };
         } catch (e) {
           this.cloner.logger.warnNonCritical('css-asset', abs, e);
@@ -906,7 +1417,167 @@ export class FrameworkWriter {
 
     let out = cssText;
     for (const r of replacements) out = out.replace(r.from, r.to);
-    return out;
+    return out.replace(
+      /\/\*__mw_import_(\d+)__\*\//g,
+      (_m, i) => importRules[i],
+    );
+  }
+
+  // Save an @import target under assets/css (its own url()s and imports resolved against its URL)
+  async localizeCssImport(
+    { rule, ref, conditions },
+    cssBaseUrl,
+    axios,
+    fromInline,
+  ) {
+    let abs;
+    try {
+      abs = new URL(ref.trim(), cssBaseUrl).href;
+    } catch {
+      return rule;
+    }
+    if (!/^https?:/i.test(abs)) return rule;
+
+    // media/layer/supports conditions are kept verbatim
+    const toRule = (filename) => {
+      const rel = fromInline ? `./assets/css/${filename}` : `./${filename}`;
+      return `@import url('${rel}')${conditions};`;
+    };
+    // Already saved, linked from the page, or still in progress (an import cycle)
+    if (this.cssImports.has(abs)) return toRule(this.cssImports.get(abs));
+
+    const filename = this.cloner.generateFilename(abs, 'styles');
+    this.cssImports.set(abs, filename);
+    const reqHeaders = {
+      'User-Agent': this.cloner.assetManager.isGoogleFontsCss(abs)
+        ? DESKTOP_USER_AGENT
+        : 'Mozilla/5.0',
+    };
+    try {
+      const res = await this.fetchAsset(axios, abs, {
+        responseType: 'text',
+        timeout: 30000,
+        headers: reqHeaders,
+      });
+      const text = await this.rewriteCssUrlsAndDownload(
+        String(res.data || ''),
+        abs,
+        axios,
+        { fromInline: false },
+      );
+      const dest = path.join(
+        this.cloner.options.outputDir,
+        'assets',
+        'css',
+        filename,
+      );
+      await fs.ensureDir(path.dirname(dest));
+      await fs.writeFile(dest, text, 'utf8');
+      this.assetMappings.set(abs, `./assets/css/${filename}`);
+      return toRule(filename);
+    } catch (e) {
+      this.cssImports.delete(abs);
+      this.cloner.logger.warnNonCritical('styles', abs, e);
+      return rule;
+    }
+  }
+
+  // Reuse the body the browser already loaded for url; axios only for assets it never requested
+  async fetchAsset(axios, url, options = {}) {
+    const {
+      responseType = 'arraybuffer',
+      timeout = 60000,
+      headers,
+      validateStatus,
+    } = options;
+    const captured = this.cloner.networkRecorder.lookup(url);
+    if (captured) {
+      this.fetchStats.browser++;
+      return {
+        status: captured.status,
+        headers: captured.headers,
+        data:
+          responseType === 'text'
+            ? captured.body.toString('utf8')
+            : captured.body,
+      };
+    }
+
+    this.fetchStats.axios++;
+    const startedAt = Date.now();
+    const res = await axios.get(url, {
+      responseType,
+      timeout,
+      headers,
+      ...(validateStatus ? { validateStatus } : {}),
+    });
+    this.cloner.networkRecorder.recordAxios(url, headers, res, startedAt);
+    return res;
+  }
+
+  // Where a download should be written once its body has been sniffed (records renames)
+  sniffedDest(dest, body, contentType, category) {
+    const name = path.basename(dest);
+    const fixed = correctAssetExtension(name, body, contentType, category);
+    if (fixed === name) return dest;
+    const subdir = path.basename(path.dirname(dest));
+    this.renamedAssets.set(`${subdir}/${name}`, `${subdir}/${fixed}`);
+    if (this.cloner.options.debug) {
+      console.log(chalk.gray(`    Sniffed ${subdir}/${name} -> ${fixed}`));
+    }
+    return path.join(path.dirname(dest), fixed);
+  }
+
+  // Point mappings and already-written HTML/CSS at content-sniffed filenames
+  async applyRenamedAssets() {
+    if (!this.renamedAssets.size) return;
+
+    const renameLocal = (local) => {
+      const m = /^\.\/assets\/(.+)$/.exec(local || '');
+      const renamed = m && this.renamedAssets.get(m[1]);
+      return renamed ? `./assets/${renamed}` : local;
+    };
+    for (const [url, local] of this.assetMappings.entries()) {
+      this.assetMappings.set(url, renameLocal(local));
+    }
+    // Asset records feed ensureMappedImage and the auto-fallback rewrite
+    const { images, fonts, icons, media, data } = this.cloner.assets;
+    for (const [subdir, list] of [
+      ['images', images],
+      ['fonts', fonts],
+      ['icons', icons],
+      ['media', media],
+      ['data', data],
+    ]) {
+      for (const asset of list) {
+        const renamed = this.renamedAssets.get(`${subdir}/${asset.filename}`);
+        if (renamed) asset.filename = renamed.split('/')[1];
+      }
+    }
+
+    const outputDir = this.cloner.options.outputDir;
+    const cssDir = path.join(outputDir, 'assets', 'css');
+    const cssFiles = (await fs.pathExists(cssDir))
+      ? (await fs.readdir(cssDir))
+          .filter((f) => f.endsWith('.css'))
+          .map((f) => path.join('assets', 'css', f))
+      : [];
+    const files = [
+      'index.html',
+      ...this.cloner.siteCrawler.pages.map((p) => p.localPath),
+      ...cssFiles,
+    ];
+    // Hashed filenames are unique, so a plain "/subdir/name" replacement is safe
+    for (const rel of files) {
+      const file = path.join(outputDir, rel);
+      if (!(await fs.pathExists(file))) continue;
+      const text = await fs.readFile(file, 'utf8');
+      let updated = text;
+      for (const [from, to] of this.renamedAssets) {
+        updated = updated.split(`/${from}`).join(`/${to}`);
+      }
+      if (updated !== text) await fs.writeFile(file, updated, 'utf8');
+    }
   }
 
   async createDirectoryStructure(structure, basePath = '') {
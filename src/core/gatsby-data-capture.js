@@ -0,0 +1,166 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+import { DESKTOP_USER_AGENT } from './browser-engine.js';
+import { safeRelativePath } from './filename-utils.js';
+
+/**
+ * Gatsby Data Capture - Saves the JSON Gatsby's loader requests before it
+ * will hydrate or navigate: `page-data/<path>/page-data.json` for every
+ * mirrored route, `page-data/app-data.json` and the static query results
+ * (`page-data/sq/d/<hash>.json`) those pages use. Files go under
+ * assets/page-data/ and the runtime rewriter serves them, with the site's
+ * path prefix stripped. Also settles gatsby-image blur-up markup so the real
+ * image, not its placeholder, is what gets mirrored.
+ */
+export class GatsbyDataCapture {
+  constructor(cloner) {
+    this.cloner = cloner;
+    // "path:/page-data/about/page-data.json" -> ./assets/page-data/about/page-data.json
+    this.mappings = new Map();
+    this.pathPrefix = ''; // e.g. "/blog" for sites built with --prefix-paths
+  }
+
+  isGatsby($) {
+    return (
+      this.cloner.analysis?.primaryFramework?.key === 'gatsby' ||
+      (!!$ && $('#___gatsby').length > 0)
+    );
+  }
+
+  isEnabled() {
+    return !this.cloner.options.disableJs && this.isGatsby(this.cloner.$);
+  }
+
+  async captureAll() {
+    const axios = (await import('axios')).default;
+    const origin = new URL(this.cloner.url).origin;
+    this.pathPrefix = this.detectPathPrefix(this.cloner.$);
+    const dataUrl = (rest) => `${origin}${this.pathPrefix}/page-data/${rest}`;
+
+    let saved = 0;
+    const queries = new Set();
+    if (await this.captureJson(axios, dataUrl('app-data.json'))) saved++;
+
+    for (const { url, $ } of this.cloner.siteCrawler.allPages()) {
+      if (!$) continue;
+      const route = this.routePath(url);
+      const pageData = await this.captureJson(
+        axios,
+        dataUrl(`${route === '/' ? 'index' : route.slice(1)}/page-data.json`),
+      );
+      if (!pageData) continue;
+      saved++;
+      for (const hash of pageData.staticQueryHashes || []) queries.add(hash);
+    }
+
+    for (const hash of queries) {
+      if (await this.captureJson(axios, dataUrl(`sq/d/${hash}.json`))) saved++;
+    }
+
+    if (!this.cloner.options.quiet && saved) {
+      console.log(
+        chalk.gray(
+          `  💜 Saved ${saved} Gatsby page-data files (${queries.size} static queries)`,
+        ),
+      );
+    }
+    return this.mappings;
+  }
+
+  // Prefix the bundles and page-data preloads are served under ("" at the root)
+  detectPathPrefix($) {
+    if (!$) return '';
+    const refs = [
+      ...$('link[href*="/page-data/"]')
+        .toArray()
+        .map((el) => $(el).attr('href')),
+      ...$('script[src]')
+        .toArray()
+        .map((el) => $(el).attr('src')),
+    ];
+    for (const ref of refs) {
+      let pathname;
+      try {
+        pathname = new URL(ref, this.cloner.url).pathname;
+      } catch {
+        continue;
+      }
+      const m =
+        /^(.*?)\/page-data\//.exec(pathname) ||
+        /^(.*?)\/(?:app|framework|webpack-runtime)-[0-9a-f]+\.js$/.exec(
+          pathname,
+        );
+      if (m) return m[1].replace(/\/+$/, '');
+    }
+    return '';
+  }
+
+  // Route path without the prefix, trailing slash or index.html ("/" for the root)
+  routePath(url) {
+    let pathname = new URL(url).pathname;
+    if (this.pathPrefix && pathname.startsWith(this.pathPrefix)) {
+      pathname = pathname.slice(this.pathPrefix.length);
+    }
+    return pathname.replace(/\/index\.html$/, '/').replace(/\/+$/, '') || '/';
+  }
+
+  // Parsed JSON on success (saved and mapped), null otherwise
+  async captureJson(axios, url) {
+    const pathname = new URL(url).pathname.slice(this.pathPrefix.length);
+    const key = `path:${pathname}`;
+    try {
+      const res = await this.cloner.frameworkWriter.fetchAsset(axios, url, {
+        timeout: 30000,
+        headers: { 'User-Agent': DESKTOP_USER_AGENT },
+      });
+      const body = Buffer.from(res.data);
+      const json = JSON.parse(body.toString('utf8'));
+      if (!this.mappings.has(key)) {
+        const rel = path.posix.join(
+          'assets',
+          safeRelativePath(pathname.replace(/^\//, '')),
+        );
+        const dest = path.join(this.cloner.options.outputDir, rel);
+        await fs.ensureDir(path.dirname(dest));
+        await fs.writeFile(dest, body);
+        this.mappings.set(key, `./${rel}`);
+      }
+      return json;
+    } catch (e) {
+      this.cloner.logger.warnNonCritical('gatsby-data', url, e);
+      return null;
+    }
+  }
+
+  // gatsby-image / gatsby-plugin-image: show the real image and drop the blur-up placeholder
+  settleImages($) {
+    $('[data-gatsby-image-wrapper], .gatsby-image-wrapper').each((_, el) => {
+      const $wrapper = $(el);
+      const $main = $wrapper.find(
+        'img[data-main-image], picture img:not([aria-hidden="true"])',
+      );
+      if (!$main.length) return;
+
+      $wrapper.find('img, source').each((_, node) => {
+        const $node = $(node);
+        for (const attr of ['src', 'srcset', 'sizes']) {
+          const lazy = $node.attr(`data-${attr}`);
+          if (lazy && !$node.attr(attr)) $node.attr(attr, lazy);
+        }
+      });
+      $main.each((_, img) => {
+        const style = $(img).attr('style');
+        if (style) {
+          $(img).attr(
+            'style',
+            style.replace(/opacity\s*:\s*0(?![.\d])/g, 'opacity:1'),
+          );
+        }
+      });
+      $wrapper
+        .find('img[data-placeholder-image], img[aria-hidden="true"]')
+        .remove();
+    });
+  }
+}
@@ -0,0 +1,144 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+
+const OPTIMIZABLE = /\.(jpe?g|png|webp|avif|tiff?)$/i;
+const VARIANT_TYPES = { avif: 'image/avif', webp: 'image/webp' };
+
+/**
+ * Image Optimizer - Re-encodes downloaded images with sharp: caps oversized
+ * dimensions, strips metadata and writes WebP/AVIF variants next to each
+ * original. Variants are only kept when they are smaller than the original,
+ * which stays in place as the <picture> fallback.
+ */
+export class ImageOptimizer {
+  constructor(cloner) {
+    this.cloner = cloner;
+    // './assets/images/x.jpg' -> [{ type, path }] (best format first)
+    this.variants = new Map();
+    this.stats = { files: 0, before: 0, after: 0 };
+  }
+
+  isEnabled() {
+    return this.formats().length > 0;
+  }
+
+  formats() {
+    const value = this.cloner.options.optimizeImages;
+    if (!value) return [];
+    if (value === true) return ['avif', 'webp'];
+    return value.filter((f) => VARIANT_TYPES[f]);
+  }
+
+  async optimizeAll() {
+    const sharp = (await import('sharp')).default;
+    const dir = path.join(this.cloner.options.outputDir, 'assets', 'images');
+    if (!(await fs.pathExists(dir))) return this.variants;
+
+    const files = (await fs.readdir(dir)).filter((f) => OPTIMIZABLE.test(f));
+    const taken = new Set(await fs.readdir(dir));
+
+    for (const name of files) {
+      try {
+        await this.optimizeFile(sharp, dir, name, taken);
+      } catch (e) {
+        this.cloner.logger.warn('Image optimization failed', {
+          category: 'images',
+          url: name,
+          error: e,
+        });
+      }
+    }
+
+    if (!this.cloner.options.quiet && this.stats.files) {
+      const mb = (n) => (n / (1024 * 1024)).toFixed(1);
+      console.log(
+        chalk.gray(
+          `  🗜️  Optimized ${this.stats.files} images: ${mb(this.stats.before)} MB -> ${mb(this.stats.after)} MB (smallest variant)`,
+        ),
+      );
+    }
+    return this.variants;
+  }
+
+  async optimizeFile(sharp, dir, name, taken) {
+    const file = path.join(dir, name);
+    const original = await fs.readFile(file);
+    const meta = await sharp(original).metadata();
+    if (!meta.width || (meta.pages || 1) > 1) return; // animated images keep their frames
+
+    const { imageQuality: quality = 75, imageMaxSize: maxSize = 2560 } =
+      this.cloner.options;
+    const oversized = meta.width > maxSize || meta.height > maxSize;
+    // rotate() applies EXIF orientation before the metadata is dropped
+    const base = () =>
+      sharp(original).rotate().resize({
+        width: maxSize,
+        height: maxSize,
+        fit: 'inside',
+        withoutEnlargement: true,
+      });
+
+    // Fallback stays in its own format; only replaced when resizing or stripping saves bytes
+    const fallback = await this.encode(base(), meta.format, quality);
+    let fallbackSize = original.length;
+    if (fallback && (oversized || fallback.length < original.length)) {
+      await fs.writeFile(file, fallback);
+      fallbackSize = fallback.length;
+    }
+
+    const stem = name.replace(/\.[^.]+$/, '');
+    const ext = path.extname(name).slice(1).toLowerCase();
+    const variants = [];
+    let smallest = fallbackSize;
+    for (const format of this.formats()) {
+      if (format === meta.format) continue;
+      const buf = await this.encode(base(), format, quality);
+      if (!buf || buf.length >= fallbackSize) continue;
+
+      let variantName = `${stem}.${format}`;
+      if (taken.has(variantName)) variantName = `${stem}-${ext}.${format}`;
+      if (taken.has(variantName)) continue;
+      taken.add(variantName);
+
+      await fs.writeFile(path.join(dir, variantName), buf);
+      variants.push({
+        type: VARIANT_TYPES[format],
+        path: `./assets/images/${variantName}`,
+        size: buf.length,
+      });
+      smallest = Math.min(smallest, buf.length);
+    }
+
+    this.stats.files++;
+    this.stats.before += original.length;
+    this.stats.after += smallest;
+    if (variants.length) this.variants.set(`./assets/images/${name}`, variants);
+  }
+
+  async encode(pipeline, format, quality) {
+    switch (format) {
+      case 'jpeg':
+        return pipeline.jpeg({ quality, mozjpeg: true }).toBuffer();
+      case 'png':
+        // Lossless: the <img> fallback must stay faithful to the source
+        return pipeline
+          .png({ compressionLevel: 9, adaptiveFiltering: true })
+          .toBuffer();
+      case 'webp':
+        return pipeline.webp({ quality }).toBuffer();
+      case 'avif':
+        return pipeline.avif({ quality: Math.max(1, quality - 20) }).toBuffer();
+      case 'tiff':
+        return pipeline.tiff({ quality }).toBuffer();
+      default:
+        return null;
+    }
+  }
+
+  // Variant used where no <picture> fallback is possible (runtime rewriter): WebP is universally supported
+  preferredFor(local) {
+    const list = this.variants.get(local);
+    return list?.find((v) => v.type === 'image/webp')?.path || null;
+  }
+}
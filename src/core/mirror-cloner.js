@@ -7,25 +7,40 @@ import { BrowserEngine } from './browser-engine.js';
 import { AssetManager } from './asset-manager.js';
 import { FrameworkAnalyzer } from './framework-analyzer.js';
 import { FrameworkWriter } from './framework-writer.js';
+import { SiteCrawler } from './site-crawler.js';
+import { RobotsPolicy } from './robots-policy.js';
+import { NetworkRecorder } from './network-recorder.js';
+import { ArchiveWriter } from './archive-writer.js';
+import { SingleFileWriter } from './single-file-writer.js';
+import { ScreenshotManager } from './screenshot-manager.js';
+import { FidelityChecker, formatScore } from './fidelity-checker.js';
+import { ImageOptimizer } from './image-optimizer.js';
+import { ApiReplay } from './api-replay.js';
+import { StreamReplay } from './stream-replay.js';
+import { NextPayloadCapture } from './next-payload-capture.js';
+import { NuxtPayloadCapture } from './nuxt-payload-capture.js';
+import { GatsbyDataCapture } from './gatsby-data-capture.js';
+import { AstroIslands } from './astro-islands.js';
+import { loadDetectorRules } from './detector-rules.js';
+import { TechFingerprint } from './tech-fingerprint.js';
 import { Display } from './display.js';
 import { Logger } from './logger.js';
 import { AIAnalyzer } from '../ai/ai-analyzer.js';
 import chalk from 'chalk';
 import { load } from 'cheerio';
-import { makeAssetFilename } from './filename-utils.js';
+import { makeAssetFilename, mimeForFilename } from './filename-utils.js';
 import http from 'http';
 import fs from 'fs';
 import path from 'path';
 
+const PREFLIGHT_REPORT = 'preflight-report.json';
+
 export class MirrorCloner {
   constructor(urlStr, options = {}) {
     this.url = urlStr;
     this.baseUrl = new URL(urlStr);
     this.domain = this.baseUrl.hostname.replace(/^www\./, '');
 
-    // Always auto by default; engine will decide JS ON/OFF
-    const jsMode = 'auto';
-
     this.options = {
       outputDir:
         options.outputDir ||
@@ -38,9 +53,42 @@ export class MirrorCloner {
       quiet: !!options.quiet,
       suppressWarnings: options.suppressWarnings !== false,
       ai: !!options.ai,
-      jsMode,
+      // 'auto' lets preflight decide JS ON/OFF; 'on'/'off' force it (--js)
+      jsMode: 'auto',
       // Working flag decided by preflight
       disableJs: false,
+      // Also write the other JS mode's index plus a compare.html toggle page
+      keepBoth: false,
+      // Crawl limits (depth 0 = single page)
+      depth: 0,
+      maxPages: 50,
+      crawlScope: 'origin',
+      // Politeness: robots.txt, Crawl-delay, noarchive (on unless explicitly disabled)
+      respectRobots: true,
+      sitemap: false,
+      // Extra output formats written next to the rewritten folder (warc, wacz, mhtml)
+      formats: [],
+      // Also emit one self-contained .html with every asset inlined
+      singleFile: false,
+      // Full-page screenshots (live + offline) with thumbnails
+      screenshot: false,
+      // Live vs offline pixel-diff; null disables, 0..1 is the pass threshold
+      minFidelity: null,
+      // Reuse response bodies the browser loaded instead of re-downloading them
+      networkCapture: true,
+      // Replay recorded fetch/XHR API responses in JS-enabled mirrors
+      replayApi: false,
+      apiStub: null, // { status, headers, body } for unmatched API calls; null = network
+      // Replay recorded WebSocket/EventSource messages: false, 'loop' or 'once'
+      replayStreams: false,
+      // Astro: keep only <astro-island> scripts instead of all or none
+      astroIslands: true,
+      // Rules file (JSON, YAML or JS module) with extra framework detectors
+      detectors: null,
+      // Re-encode images (false, true for avif+webp, or a list of formats)
+      optimizeImages: false,
+      imageQuality: 75,
+      imageMaxSize: 2560,
       ...options,
     };
 
@@ -56,6 +104,21 @@ export class MirrorCloner {
     this.assetManager = new AssetManager(this);
     this.frameworkAnalyzer = new FrameworkAnalyzer();
     this.frameworkWriter = new FrameworkWriter(this);
+    this.robotsPolicy = new RobotsPolicy(this);
+    this.siteCrawler = new SiteCrawler(this);
+    this.networkRecorder = new NetworkRecorder(this);
+    this.archiveWriter = new ArchiveWriter(this);
+    this.singleFileWriter = new SingleFileWriter(this);
+    this.screenshotManager = new ScreenshotManager(this);
+    this.fidelityChecker = new FidelityChecker(this);
+    this.imageOptimizer = new ImageOptimizer(this);
+    this.apiReplay = new ApiReplay(this);
+    this.streamReplay = new StreamReplay(this);
+    this.nextPayloadCapture = new NextPayloadCapture(this);
+    this.nuxtPayloadCapture = new NuxtPayloadCapture(this);
+    this.gatsbyDataCapture = new GatsbyDataCapture(this);
+    this.astroIslands = new AstroIslands(this);
+    this.techFingerprint = new TechFingerprint(this);
     this.display = new Display();
     this.logger = new Logger(this.options);
 
@@ -72,6 +135,7 @@ export class MirrorCloner {
       fonts: [],
       icons: [],
       media: [],
+      data: [], // runtime-fetched JSON, wasm and other payloads
     };
 
     this.frameworkData = {}; // Framework-specific data storage
@@ -79,9 +143,6 @@ export class MirrorCloner {
     // Microlink capture helpers
     this._microlinkHandlers = { response: null };
     this._microlinkCaptured = new Set();
-
-    // Keep track of active request interception handlers per page
-    this._reqInterceptionHandlers = new WeakMap();
   }
 
   // Safe pause that works with Puppeteer, Playwright, or plain timers
@@ -112,6 +173,20 @@ export class MirrorCloner {
       this.display.info(`🌐 Source: ${this.url}`);
       this.display.info(`📁 Output: ${this.options.outputDir}`);
 
+      if (!(await this.robotsPolicy.isAllowed(this.url))) {
+        throw new Error(
+          'robots.txt disallows this URL (pass --no-respect-robots to override)',
+        );
+      }
+
+      if (this.options.detectors) {
+        const detectors = await loadDetectorRules(this.options.detectors);
+        this.frameworkAnalyzer.addDetectors(detectors);
+        this.display.info(
+          `🧩 Loaded ${Object.keys(detectors).length} custom detector(s)`,
+        );
+      }
+
       // Step 1: Preflight dual-render comparator to choose JS mode automatically
       this.display.step(
         1,
@@ -120,9 +195,13 @@ export class MirrorCloner {
         'Evaluating site with JS ON vs OFF to decide optimal mode...',
       );
       const pre = await this.preflightDualRender();
+      this.preflight = pre;
       this.options.disableJs = pre.decision === 'off';
       const chosenHtml = this.options.disableJs ? pre.htmlOff : pre.htmlOn;
 
+      this.display.info(
+        `⚖️  JS ${pre.decision.toUpperCase()} (${pre.rule}); details in ${PREFLIGHT_REPORT}`,
+      );
       if (this.options.debug) {
         console.log(
           chalk.gray(
@@ -145,15 +224,22 @@ export class MirrorCloner {
       this.analysis = await this.frameworkAnalyzer.analyze(
         chosenHtml,
         this.url,
+        {
+          runtime: pre.runtimeFrameworks,
+          headers: pre.headers,
+          cookies: pre.cookies,
+        },
       );
       this.displayFrameworkResults();
 
-      // Step 3: Initialize browser for asset collection (single pass for assets)
-      this.display.step(3, 9, 'Browser Setup', 'Launching headless browser...');
-      const page = await this.browserEngine.createPage();
-
-      // Attach Microlink sniffer BEFORE navigation to capture preview assets as they load
-      this.attachMicrolinkSniffer(page);
+      // Step 3: Harvest the JS-ON preflight page (no second navigation)
+      this.display.step(
+        3,
+        9,
+        'Browser Setup',
+        'Reusing the preflight page for asset harvesting...',
+      );
+      const page = pre.page;
 
       // Step 4: Load and process target website for asset harvesting
       this.display.step(
@@ -162,12 +248,23 @@ export class MirrorCloner {
         'Page Loading',
         'Loading website content and harvesting assets...',
       );
-      await this.loadPage(page);
+      const mainResponse = pre.response;
+      await this.settlePage(page);
+      if (this.screenshotManager.isEnabled()) {
+        await this.screenshotManager.capture(page, 'live').catch((e) => {
+          this.display.warning(`Live screenshot failed: ${e.message}`);
+        });
+      }
 
       // Simulate link preview hovers so previews render in DOM and network calls are made
       await this.simulateLinkPreviews(page).catch(() => {});
       await this.waitForNetworkIdle(page, 1200).catch(() => {});
       await this.waitForImagesSettled(page, 4000).catch(() => {});
+      if (this.fidelityChecker.isEnabled()) {
+        await this.fidelityChecker.captureLive(page).catch((e) => {
+          this.display.warning(`Live fidelity screenshot failed: ${e.message}`);
+        });
+      }
 
       // Harvest computed-style assets (background images, pseudo-elements) into the DOM
       await this.collectComputedAssets(page).catch(() => {});
@@ -186,9 +283,22 @@ export class MirrorCloner {
           this.display.info(`🔁 Final URL detected: ${finalUrl}`);
         }
       }
+      this.siteCrawler.registerRoot(this.url);
 
       // Step 5: Shadow DOM serialization (improves static snapshots)
       await this.serializeShadowDOM(page).catch(() => {});
+      this.networkRecorder.detach(page);
+      this.techFingerprint.detach(page);
+      await this.streamReplay.detach(page);
+
+      // Chromium's own snapshot of the same settled DOM (second opinion to our rewriting)
+      let mhtmlPath = null;
+      if (this.options.formats.includes('mhtml')) {
+        mhtmlPath = await this.captureMhtml(page).catch((e) => {
+          this.display.warning(`MHTML snapshot failed: ${e.message}`);
+          return null;
+        });
+      }
 
       // Step 6: Extract all website assets using chosen HTML as baseline
       this.display.step(
@@ -200,8 +310,26 @@ export class MirrorCloner {
       const htmlForExtraction = await page.content().catch(() => chosenHtml);
       // Prefer current page DOM (richer with computed asset injections); fallback to chosen preflight HTML
       this.$ = load(htmlForExtraction || chosenHtml);
+      const mainHeaders = mainResponse?.headers?.() || {};
+      if (this.robotsPolicy.isNoArchive(mainHeaders, this.$)) {
+        throw new Error(
+          'Page is marked noarchive (pass --no-respect-robots to override)',
+        );
+      }
+      await this.techFingerprint.detect(page, mainHeaders);
+      this.display.technologyTable(this.techFingerprint.grouped());
       await this.assetManager.extractAllAssets();
 
+      // Optional crawl: mirror linked pages into the same shared asset pool
+      if (this.siteCrawler.isEnabled()) {
+        this.display.info(
+          `🕸️ Crawling ${
+            this.options.sitemap ? 'sitemap and linked' : 'linked'
+          } pages (depth ${this.options.depth}, max ${this.options.maxPages})...`,
+        );
+        await this.siteCrawler.crawl(this.url, this.$);
+      }
+
       // Step 7: AI-powered analysis (optional)
       const aiModelName = this.aiAnalyzer?.aiModel || 'GPT-4o';
       this.display.step(
@@ -253,11 +381,18 @@ export class MirrorCloner {
           'Offline Validation',
           'Verifying offline rendering (http and file protocols)...',
         );
-        const validHttp = await this.validateOfflineOutputHttp();
-        const validFile = await this.validateOfflineOutputFile();
+        // One tab checks both protocols
+        const checkPage = await this.browserEngine.createPage();
+        const validHttp = await this.validateOfflineOutputHttp(checkPage);
+        const validFile = await this.validateOfflineOutputFile(checkPage);
+        await checkPage.close().catch(() => {});
         const valid = validHttp && validFile;
 
-        if (!valid) {
+        if (!valid && this.options.jsMode === 'on') {
+          this.display.warning(
+            'Offline validation detected a blank/empty root; keeping JS ON as forced by --js on',
+          );
+        } else if (!valid) {
           this.display.warning(
             `Offline validation detected a blank/empty root (${
               validHttp ? 'http OK' : 'http blank'
@@ -266,11 +401,49 @@ export class MirrorCloner {
             }). Applying auto static snapshot fallback...`,
           );
           this.options.disableJs = true;
+          this.options.astroIslands = false;
           await this.frameworkWriter.writeIndexHtmlOnly();
+          await this.frameworkWriter.writeCrawledPages();
           autoFallenBack = true;
         }
       }
 
+      let variantFiles = [];
+      if (this.options.keepBoth) {
+        variantFiles = await this.frameworkWriter
+          .writeAlternateVariant()
+          .catch((e) => {
+            this.display.warning(`Alternate variant failed: ${e.message}`);
+            return [];
+          });
+      }
+
+      // Static or fallback output was not screenshotted during validation
+      if (
+        this.screenshotManager.isEnabled() &&
+        (autoFallenBack || !this.screenshotManager.shots.has('offline'))
+      ) {
+        await this.screenshotManager.captureServed('offline').catch((e) => {
+          this.display.warning(`Offline screenshot failed: ${e.message}`);
+        });
+      }
+
+      // Pixel-diff the live page against the served mirror
+      let fidelityOk = true;
+      if (this.fidelityChecker.isEnabled()) {
+        try {
+          const { score, min, passed } = await this.fidelityChecker.run();
+          if (!passed) {
+            fidelityOk = false;
+            this.display.warning(
+              `Visual fidelity ${formatScore(score)} is below --min-fidelity ${formatScore(min)}`,
+            );
+          }
+        } catch (e) {
+          this.display.warning(`Fidelity check failed: ${e.message}`);
+        }
+      }
+
       // Finalize
       this.display.step(
         9,
@@ -281,6 +454,40 @@ export class MirrorCloner {
           : 'Output ready.',
       );
 
+      const artifacts = mhtmlPath ? [['MHTML', mhtmlPath]] : [];
+      if (this.archiveWriter.isEnabled()) {
+        for (const file of await this.archiveWriter.writeAll()) {
+          artifacts.push(['Archive', file]);
+        }
+      }
+      if (this.apiReplay.file && !this.options.disableJs) {
+        artifacts.push(['API replay', this.apiReplay.file]);
+        if (this.apiReplay.reportFile) {
+          artifacts.push(['GraphQL operations', this.apiReplay.reportFile]);
+        }
+      }
+      if (this.streamReplay.file && !this.options.disableJs) {
+        artifacts.push(['Stream replay', this.streamReplay.file]);
+      }
+      const preflightReport = await this.writePreflightReport({
+        autoFallenBack,
+      }).catch(() => null);
+      if (preflightReport) artifacts.push(['Preflight', preflightReport]);
+      for (const file of variantFiles) {
+        artifacts.push([
+          file === 'compare.html' ? 'Compare' : 'Variant',
+          path.join(this.options.outputDir, file),
+        ]);
+      }
+      if (this.techFingerprint.technologies.length) {
+        artifacts.push(['Technologies', await this.techFingerprint.write()]);
+      }
+      artifacts.push(...this.screenshotManager.summaryRows());
+      artifacts.push(...this.fidelityChecker.summaryRows());
+      if (this.singleFileWriter.isEnabled()) {
+        artifacts.push(['Single file', await this.singleFileWriter.write()]);
+      }
+
       await this.browserEngine.close();
 
       // Display success summary
@@ -290,13 +497,19 @@ export class MirrorCloner {
         framework: this.analysis?.primaryFramework?.name || 'Vanilla HTML',
         outputType: this.getOutputType(),
         assets: this.getAssetStats(),
+        pages: this.siteCrawler.isEnabled()
+          ? this.siteCrawler.pages.length + 1
+          : undefined,
+        skipped: this.siteCrawler.skipped,
+        artifacts,
         duration: Date.now() - startTime,
       });
 
       // Show any suppressed warning summary
       this.logger.printSuppressedSummary();
 
-      return true;
+      // Output is kept either way; a low fidelity score only fails the run (exit code 1)
+      return fidelityOk;
     } catch (error) {
       await this.browserEngine.close();
       this.display.error('Mirroring failed', error.message);
@@ -308,9 +521,15 @@ export class MirrorCloner {
   }
 
   // --- Preflight: decide JS ON vs OFF automatically ---
+  /**
+   * The target is navigated once: the JS-ON page loads with every recorder
+   * attached and stays open for harvesting. The JS-OFF comparison runs
+   * concurrently in a second tab that blocks scripts and answers requests
+   * the first tab already made from the network recorder.
+   */
   async preflightDualRender() {
-    // Pass A: JS ON (normal)
-    const pageOn = await this.browserEngine.createPage();
+    // Pass A: JS ON (normal); this page is harvested afterwards
+    const pageOn = await this.browserEngine.createPage({ primary: true });
     const consoleOn = [];
     const collectConsole = (msg) => {
       try {
@@ -320,40 +539,38 @@ export class MirrorCloner {
         // ignore
       }
     };
+    const collectPageError = (err) => {
+      consoleOn.push(`[pageerror] ${err?.message || err}`);
+    };
     pageOn.on('console', collectConsole);
+    pageOn.on('pageerror', collectPageError);
+    await this.frameworkAnalyzer.installRuntimeHooks(pageOn);
+    await this.attachRecorders(pageOn);
 
-    await pageOn.goto(this.url, {
+    const responseOn = await pageOn.goto(this.url, {
       waitUntil: 'domcontentloaded',
       timeout: this.options.timeout,
     });
+    const headers = responseOn?.headers() || {};
+
+    // Pass B: JS "OFF" in a second tab while pass A settles (a slow body doesn't hold it up)
+    await Promise.race([this.networkRecorder.flush(), this.pause(1500)]);
+    const passOff = this._preflightJsOff();
+    passOff.catch(() => {}); // awaited below; pass A may throw first
+
     await this.waitForRootReady(pageOn);
     // Lightweight settle
     await this.pause(pageOn, 500);
     const metricsOn = await this._collectPreflightMetrics(pageOn);
+    // Globals and hooks only the live page has (versions included)
+    const runtimeFrameworks =
+      await this.frameworkAnalyzer.detectRuntime(pageOn);
+    const cookies = await pageOn.cookies().catch(() => []);
     const htmlOn = await pageOn.content();
-    await pageOn.close();
+    pageOn.off('console', collectConsole);
+    pageOn.off('pageerror', collectPageError);
 
-    // Pass B: JS "OFF" by blocking script requests
-    const pageOff = await this.browserEngine.createPage();
-    await this._blockScripts(pageOff, true);
-    const consoleOff = [];
-    const collectConsoleOff = (msg) => {
-      try {
-        const t = msg.type ? msg.type() : 'log';
-        consoleOff.push(`[${t}] ${msg.text?.() || msg.text()}`);
-      } catch {}
-    };
-    pageOff.on('console', collectConsoleOff);
-
-    await pageOff.goto(this.url, {
-      waitUntil: 'domcontentloaded',
-      timeout: this.options.timeout,
-    });
-    await this.waitForRootReady(pageOff).catch(() => {});
-    await this.pause(pageOff, 300);
-    const metricsOff = await this._collectPreflightMetrics(pageOff);
-    const htmlOff = await pageOff.content();
-    await pageOff.close();
+    const { metricsOff, htmlOff, consoleOff } = await passOff;
 
     // Framework hint: detect Next.js in htmlOn or htmlOff
     const frameworkHint =
@@ -369,15 +586,19 @@ export class MirrorCloner {
       (metricsOn.blank && frameworkHint === 'nextjs');
 
     let decision = 'on'; // default prefer JS ON for richer sites
+    let rule; // which rule decided, for preflight-report.json
 
     if (frameworkHint === 'nextjs' && hydrationError) {
       decision = 'off';
+      rule = 'nextjs-hydration-error';
     } else if (!metricsOn.blank && metricsOff.blank) {
       // JS ON looks healthy, JS OFF is blank -> ON
       decision = 'on';
+      rule = 'js-off-blank';
     } else if (metricsOn.blank && !metricsOff.blank) {
       // JS ON blanks (likely hydration wiping) -> OFF
       decision = 'off';
+      rule = 'js-on-blank';
     } else if (!metricsOn.blank && !metricsOff.blank) {
       // Both render; bias using shadow/custom elements density (prefer ON if complex)
       if (
@@ -387,12 +608,15 @@ export class MirrorCloner {
           Math.max(60, (metricsOn.nodeCount || 0) * 0.02)
       ) {
         decision = 'on';
+        rule = 'both-render-web-components';
       } else {
         decision = 'on'; // still prefer ON when both are fine
+        rule = 'both-render';
       }
     } else {
       // Both look blank; for safety choose OFF to preserve SSR if present
       decision = 'off';
+      rule = 'both-blank';
     }
 
     if (this.options.debug) {
@@ -403,7 +627,143 @@ export class MirrorCloner {
       );
     }
 
-    return { decision, htmlOn, htmlOff, metricsOn, metricsOff, frameworkHint };
+    // A rules-file detector that declares its JS mode overrides the heuristics
+    const preferred = this.frameworkAnalyzer.preferredJsMode(htmlOn, {
+      headers,
+      cookies,
+    });
+    if (preferred) {
+      decision = preferred.jsMode;
+      rule = `detector:${preferred.key}`;
+      if (this.options.debug) {
+        console.log(
+          chalk.gray(
+            `    Preflight: ${preferred.name} detector requests JS ${preferred.jsMode.toUpperCase()}`,
+          ),
+        );
+      }
+    }
+
+    // --js on|off beats everything
+    if (this.options.jsMode === 'on' || this.options.jsMode === 'off') {
+      decision = this.options.jsMode;
+      rule = `forced:--js ${this.options.jsMode}`;
+    }
+
+    return {
+      decision,
+      rule,
+      page: pageOn,
+      response: responseOn,
+      htmlOn,
+      htmlOff,
+      metricsOn,
+      metricsOff,
+      frameworkHint,
+      runtimeFrameworks,
+      headers,
+      cookies,
+      consoleErrors: {
+        on: consoleErrors(consoleOn),
+        off: consoleErrors(consoleOff),
+      },
+    };
+  }
+
+  // Pass B: scripts blocked; requests pass A already made are answered from the recorder
+  async _preflightJsOff() {
+    const page = await this.browserEngine.createPage({
+      onRequest: (req) => this._jsOffRequest(req),
+    });
+    const consoleOff = [];
+    page.on('console', (msg) => {
+      try {
+        const t = msg.type ? msg.type() : 'log';
+        consoleOff.push(`[${t}] ${msg.text?.() || msg.text()}`);
+      } catch {}
+    });
+    page.on('pageerror', (err) => {
+      consoleOff.push(`[pageerror] ${err?.message || err}`);
+    });
+
+    try {
+      await page.goto(this.url, {
+        waitUntil: 'domcontentloaded',
+        timeout: this.options.timeout,
+      });
+      await this.waitForRootReady(page).catch(() => {});
+      await this.pause(page, 300);
+      const metricsOff = await this._collectPreflightMetrics(page);
+      const htmlOff = await page.content();
+      return { metricsOff, htmlOff, consoleOff };
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  _jsOffRequest(req) {
+    try {
+      if (req.resourceType() === 'script') {
+        // Abort script requests to simulate JS OFF
+        return req.abort('blockedbyclient').catch(() => {});
+      }
+      const cached =
+        req.method() === 'GET'
+          ? this.networkRecorder.byUrl.get(req.url())
+          : null;
+      if (
+        cached &&
+        cached.source === 'browser' &&
+        cached.method === 'GET' &&
+        cached.status === 200 &&
+        cached.body.length
+      ) {
+        return req
+          .respond({
+            status: 200,
+            headers: replayableHeaders(cached.headers),
+            body: cached.body,
+          })
+          // A response Chrome rejects still has to reach the page somehow
+          .catch(() => req.continue().catch(() => {}));
+      }
+      return req.continue().catch(() => {});
+    } catch {
+      // Swallow any errors to avoid double-handling
+    }
+  }
+
+  // Recorders that must see the harvested page's traffic from the first request
+  async attachRecorders(page) {
+    // Microlink sniffer captures preview assets as they load
+    this.attachMicrolinkSniffer(page);
+    this.networkRecorder.attach(page);
+    this.techFingerprint.attach(page);
+    await this.streamReplay.attach(page).catch((e) => {
+      this.display.warning(`Stream recording unavailable: ${e.message}`);
+    });
+  }
+
+  // Why preflight chose the JS mode: both metric sets, console errors, hint and rule
+  async writePreflightReport({ autoFallenBack = false } = {}) {
+    const pre = this.preflight;
+    if (!pre) return null;
+    const dest = path.join(this.options.outputDir, PREFLIGHT_REPORT);
+    const report = {
+      generatedAt: new Date().toISOString(),
+      url: this.url,
+      requestedMode: this.options.jsMode,
+      decision: pre.decision,
+      rule: pre.rule,
+      finalMode: this.options.disableJs ? 'off' : 'on',
+      autoFallback: autoFallenBack,
+      frameworkHint: pre.frameworkHint,
+      metrics: { on: pre.metricsOn, off: pre.metricsOff },
+      consoleErrors: pre.consoleErrors,
+    };
+    await fs.promises.mkdir(this.options.outputDir, { recursive: true });
+    await fs.promises.writeFile(dest, JSON.stringify(report, null, 2), 'utf8');
+    return dest;
   }
 
   _frameworkHint(html) {
@@ -423,8 +783,9 @@ export class MirrorCloner {
       return await page.evaluate(() => {
         function getRoot() {
           return (
-            document.querySelector('#__next, #root, [data-reactroot]') ||
-            document.body
+            document.querySelector(
+              '#__next, #__nuxt, #root, [data-reactroot]',
+            ) || document.body
           );
         }
         function rectArea(el) {
@@ -493,83 +854,18 @@ export class MirrorCloner {
     }
   }
 
-  // Robust script blocking for Puppeteer (avoids "Request is already handled!" by ensuring one handler and single resolution)
-  async _blockScripts(page, enabled) {
-    try {
-      // Puppeteer-style interception
-      if (page.setRequestInterception) {
-        // Remove any existing handler we attached earlier
-        const existing = this._reqInterceptionHandlers.get(page);
-        if (existing) {
-          try {
-            page.off('request', existing);
-          } catch {}
-          this._reqInterceptionHandlers.delete(page);
-        }
-
-        await page.setRequestInterception(enabled);
-
-        if (enabled) {
-          const handler = (req) => {
-            try {
-              const type =
-                typeof req.resourceType === 'function'
-                  ? req.resourceType()
-                  : '';
-              if (type === 'script') {
-                // Abort script requests to simulate JS OFF
-                // Never call continue() afterwards for this request
-                return req.abort('blockedbyclient').catch(() => {});
-              }
-              // Allow other resource types
-              return req.continue().catch(() => {});
-            } catch {
-              // Swallow any errors to avoid double-handling
-            }
-          };
-          page.on('request', handler);
-          this._reqInterceptionHandlers.set(page, handler);
-        }
-        return;
-      }
-
-      // Playwright-style routing (best-effort; noop if not available)
-      if (page.route) {
-        // Note: To avoid stacking routes we'd need unroute. Since our main env is Puppeteer,
-        // we keep this light and avoid adding multiple routes.
-        if (enabled) {
-          await page.route('**/*', (route) => {
-            try {
-              const req = route.request();
-              const type =
-                req && typeof req.resourceType === 'function'
-                  ? req.resourceType()
-                  : '';
-              if (type === 'script') return route.abort();
-              return route.continue();
-            } catch {
-              try {
-                return route.continue();
-              } catch {}
-            }
-          });
-        } else if (page.unroute) {
-          try {
-            await page.unroute('**/*');
-          } catch {}
-        }
-      }
-    } catch {
-      // ignore
-    }
-  }
-
-  async loadPage(page) {
-    await page.goto(this.url, {
+  // Navigate and settle a page; returns the main document response (headers feed robots checks)
+  async loadPage(page, url = this.url) {
+    const response = await page.goto(url, {
       waitUntil: 'domcontentloaded',
       timeout: this.options.timeout,
     });
+    await this.settlePage(page);
+    return response;
+  }
 
+  // After navigation: consent banners, lazy content, images and network idle
+  async settlePage(page) {
     // Capture the baseline URL after potentially initial redirects but BEFORE cookie clicking
     const baselineUrl = page.url();
 
@@ -609,6 +905,19 @@ export class MirrorCloner {
     await this.waitForNetworkIdle(page, 1500).catch(() => {});
   }
 
+  // Temporarily point URL resolution and the Cheerio DOM at another mirrored page (crawl mode)
+  async withPageContext(ctx, fn) {
+    const saved = { url: this.url, baseUrl: this.baseUrl, $: this.$ };
+    this.url = ctx.url;
+    this.baseUrl = new URL(ctx.url);
+    this.$ = ctx.$;
+    try {
+      return await fn();
+    } finally {
+      Object.assign(this, saved);
+    }
+  }
+
   // Serialize shadow DOM into Declarative Shadow DOM (<template shadowroot="open">)
   // so static snapshots include content of web components.
   async serializeShadowDOM(page) {
@@ -647,6 +956,25 @@ export class MirrorCloner {
     });
   }
 
+  // Save the loaded page via the DevTools Page.captureSnapshot API (opens natively in Chrome)
+  async captureMhtml(page) {
+    const session = await page.createCDPSession();
+    try {
+      const { data } = await session.send('Page.captureSnapshot', {
+        format: 'mhtml',
+      });
+      const dest = path.join(this.options.outputDir, `${this.domain}.mhtml`);
+      await fs.promises.mkdir(this.options.outputDir, { recursive: true });
+      await fs.promises.writeFile(dest, data, 'utf8');
+      if (this.options.debug) {
+        console.log(chalk.gray(`    MHTML snapshot saved: ${dest}`));
+      }
+      return dest;
+    } finally {
+      await session.detach().catch(() => {});
+    }
+  }
+
   // Network sniffer for Microlink assets (images and JSON to discover screenshot URLs)
   attachMicrolinkSniffer(page) {
     const isMicrolink = (u) => {
@@ -946,6 +1274,8 @@ export class MirrorCloner {
         confidence: Math.round(primary.confidence * 100),
         complexity: this.analysis.complexity,
         strategy: this.getMirroringStrategy(primary.key),
+        version: primary.version,
+        evidence: primary.evidence,
       });
     }
   }
@@ -955,6 +1285,9 @@ export class MirrorCloner {
   }
 
   getMirroringStrategy(framework) {
+    const custom = this.frameworkAnalyzer.frameworks[framework]?.strategy;
+    if (custom) return custom;
+
     const strategies = {
       nextjs: this.options.disableJs
         ? 'Static snapshot (JS removed) to avoid hydration/blank page'
@@ -962,8 +1295,17 @@ export class MirrorCloner {
       react: this.options.disableJs
         ? 'Static snapshot (JS removed) to preserve SSR DOM'
         : 'Preserve DOM; localize assets for exact UI',
-      gatsby: 'Gatsby static DOM with localized assets',
+      gatsby: this.options.disableJs
+        ? 'Gatsby static DOM with localized assets'
+        : 'Preserve DOM; localize assets and page-data for Gatsby hydration',
       vue: 'Preserve DOM; localize assets for exact UI',
+      nuxt: this.options.disableJs
+        ? 'Static snapshot (JS removed) to preserve SSR DOM'
+        : 'Preserve DOM; localize assets and Nuxt payloads',
+      astro:
+        this.options.astroIslands !== false
+          ? 'Static HTML; only Astro islands hydrate (partial hydration)'
+          : 'Static HTML/CSS with localized assets',
       angular: 'Preserve DOM; localize assets for exact UI',
     };
     return strategies[framework] || 'HTML/CSS/JS static files';
@@ -1014,18 +1356,19 @@ export class MirrorCloner {
   }
 
   // --- Offline validation helpers (safety net) ---
-  async validateOfflineOutputHttp() {
+  async validateOfflineOutputHttp(page) {
     const { server, baseUrl } = await this._startStaticServer(
       this.options.outputDir,
     );
     try {
-      const page = await this.browserEngine.createPage();
       await page.goto(baseUrl + '/index.html', {
         waitUntil: 'domcontentloaded',
         timeout: 30000,
       });
       const ok = await this._evaluateOfflineHealth(page);
-      await page.close();
+      if (this.screenshotManager.isEnabled()) {
+        await this.screenshotManager.capture(page, 'offline').catch(() => {});
+      }
       return ok;
     } catch (e) {
       if (this.options.debug) {
@@ -1038,18 +1381,15 @@ export class MirrorCloner {
     }
   }
 
-  async validateOfflineOutputFile() {
+  async validateOfflineOutputFile(page) {
     try {
-      const page = await this.browserEngine.createPage();
       const fileUrl =
         'file://' + path.resolve(this.options.outputDir, 'index.html');
       await page.goto(fileUrl, {
         waitUntil: 'domcontentloaded',
         timeout: 30000,
       });
-      const ok = await this._evaluateOfflineHealth(page);
-      await page.close();
-      return ok;
+      return await this._evaluateOfflineHealth(page);
     } catch (e) {
       if (this.options.debug) {
         console.log(chalk.yellow('⚠️ file:// validation error:'), e.message);
@@ -1067,8 +1407,9 @@ export class MirrorCloner {
       const status = await page.evaluate(() => {
         function getRoot() {
           return (
-            document.querySelector('#__next, #root, [data-reactroot]') ||
-            document.body
+            document.querySelector(
+              '#__next, #__nuxt, #root, [data-reactroot]',
+            ) || document.body
           );
         }
         function rectArea(el) {
@@ -1147,35 +1488,7 @@ export class MirrorCloner {
 
   _serveFile(res, filePath) {
     const ext = path.extname(filePath).toLowerCase();
-    const mime =
-      {
-        '.html': 'text/html; charset=utf-8',
-        '.css': 'text/css; charset=utf-8',
-        '.js': 'application/javascript; charset=utf-8',
-        '.mjs': 'application/javascript; charset=utf-8',
-        '.json': 'application/json; charset=utf-8',
-        '.svg': 'image/svg+xml',
-        '.png': 'image/png',
-        '.jpg': 'image/jpeg',
-        '.jpeg': 'image/jpeg',
-        '.webp': 'image/webp',
-        '.avif': 'image/avif',
-        '.gif': 'image/gif',
-        '.ico': 'image/x-icon',
-        '.mp4': 'video/mp4',
-        '.webm': 'video/webm',
-        '.ogg': 'video/ogg',
-        '.mp3': 'audio/mpeg',
-        '.wav': 'audio/wav',
-        '.m4a': 'audio/mp4',
-        '.woff2': 'font/woff2',
-        '.woff': 'font/woff',
-        '.ttf': 'font/ttf',
-        '.otf': 'font/otf',
-        '.eot': 'application/vnd.ms-fontobject',
-        '.txt': 'text/plain; charset=utf-8',
-        '.map': 'application/json; charset=utf-8',
-      }[ext] || 'application/octet-stream';
+    const mime = mimeForFilename(filePath);
 
     res.writeHead(200, {
       'Content-Type': mime,
@@ -1184,3 +1497,24 @@ export class MirrorCloner {
     fs.createReadStream(filePath).pipe(res);
   }
 }
+
+// Console errors and uncaught exceptions from a preflight pass (capped)
+function consoleErrors(lines) {
+  return lines
+    .filter((line) => /^\[(error|pageerror)\]/.test(line))
+    .slice(0, 50);
+}
+
+// Recorded response headers the browser can take back for a decoded body.
+// Puppeteer joins repeated headers (set-cookie, link) with '\n'; CDP wants one entry each.
+function replayableHeaders(headers) {
+  const out = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    if (/^(content-encoding|content-length|transfer-encoding)$/i.test(name)) {
+      continue;
+    }
+    const values = String(value).split('\n').filter(Boolean);
+    out[name] = values.length > 1 ? values : values[0] || '';
+  }
+  return out;
+}
@@ -0,0 +1,161 @@
+/**
+ * Network Recorder - Keeps request/response exchanges (headers, status,
+ * timestamps and bodies) seen by the browser during page loads. The writer
+ * reuses those bodies instead of re-downloading assets, and archive formats
+ * also get the asset downloader's own exchanges.
+ */
+export class NetworkRecorder {
+  constructor(cloner) {
+    this.cloner = cloner;
+    this.entries = [];
+    this.byUrl = new Map(); // url -> first GET entry (a POST to the same URL is not the asset)
+    this.seen = new Set(); // method + url + request body: one entry per exchange
+    this.handlers = new WeakMap(); // page -> response handler
+    this.pending = new Set();
+  }
+
+  isEnabled() {
+    return (
+      this.isArchiving() ||
+      this.cloner.options.networkCapture !== false ||
+      !!this.cloner.options.replayApi
+    );
+  }
+
+  isArchiving() {
+    const formats = this.cloner.options.formats || [];
+    return formats.includes('warc') || formats.includes('wacz');
+  }
+
+  attach(page) {
+    if (!this.isEnabled() || this.handlers.has(page)) return;
+
+    const handler = (response) => {
+      const task = this.captureResponse(response).catch(() => {});
+      this.pending.add(task);
+      task.finally(() => this.pending.delete(task));
+    };
+    page.on('response', handler);
+    this.handlers.set(page, handler);
+  }
+
+  detach(page) {
+    const handler = this.handlers.get(page);
+    if (!handler) return;
+    try {
+      page.off('response', handler);
+    } catch {
+      // ignore
+    }
+    this.handlers.delete(page);
+  }
+
+  // Wait for body reads that were still in flight when a page settled
+  async flush() {
+    await Promise.all([...this.pending]);
+  }
+
+  async captureResponse(response) {
+    const url = response.url();
+    const request = response.request();
+    if (!/^https?:/i.test(url) || this.seen.has(exchangeKey(request, url))) {
+      return;
+    }
+
+    const status = response.status();
+    // Redirects and 204/304 have no body available to the browser
+    let body = Buffer.alloc(0);
+    if (status >= 200 && status < 300 && status !== 204) {
+      body = (await response.buffer().catch(() => null)) || Buffer.alloc(0);
+    }
+
+    this.record({
+      url,
+      method: request.method(),
+      requestHeaders: request.headers() || {},
+      postData: request.postData() || '',
+      status,
+      statusText: response.statusText() || '',
+      headers: response.headers() || {},
+      body,
+      resourceType: request.resourceType(),
+      timestamp: Date.now(),
+      source: 'browser',
+    });
+  }
+
+  // Record an exchange made outside the browser (axios downloads)
+  record(entry) {
+    if (!this.isEnabled() || !entry?.url) return;
+    const key = `${entry.method || 'GET'} ${entry.url} ${entry.postData || ''}`;
+    if (this.seen.has(key)) return;
+    this.seen.add(key);
+    const normalized = {
+      method: 'GET',
+      requestHeaders: {},
+      postData: '',
+      statusText: '',
+      headers: {},
+      resourceType: 'other',
+      timestamp: Date.now(),
+      source: 'download',
+      ...entry,
+      body: Buffer.isBuffer(entry.body)
+        ? entry.body
+        : Buffer.from(entry.body || ''),
+    };
+    this.entries.push(normalized);
+    if (
+      String(normalized.method).toUpperCase() === 'GET' &&
+      !this.byUrl.has(normalized.url)
+    ) {
+      this.byUrl.set(normalized.url, normalized);
+    }
+  }
+
+  // Helper for axios responses (headers object may be an AxiosHeaders instance)
+  recordAxios(url, requestHeaders, res, startedAt) {
+    if (!this.isArchiving() || !res) return;
+    const headers =
+      typeof res.headers?.toJSON === 'function'
+        ? res.headers.toJSON()
+        : { ...(res.headers || {}) };
+    let body = res.data;
+    if (body instanceof ArrayBuffer) body = Buffer.from(body);
+    this.record({
+      url,
+      requestHeaders: requestHeaders || {},
+      status: res.status,
+      statusText: res.statusText || '',
+      headers,
+      body,
+      timestamp: startedAt || Date.now(),
+    });
+  }
+
+  // Complete body the browser received for a GET of url (following redirects), or null
+  lookup(url) {
+    let key = String(url || '').split('#')[0];
+    for (let hops = 0; hops < 5; hops++) {
+      const entry = this.byUrl.get(key);
+      if (!entry || entry.source !== 'browser') return null;
+      const location = entry.headers.location;
+      if (entry.status >= 300 && entry.status < 400 && location) {
+        try {
+          key = new URL(location, key).href.split('#')[0];
+        } catch {
+          return null;
+        }
+        continue;
+      }
+      // 206 bodies are partial (media range requests)
+      if (entry.status !== 200 || !entry.body.length) return null;
+      return entry;
+    }
+    return null;
+  }
+}
+
+function exchangeKey(request, url) {
+  return `${request.method()} ${url} ${request.postData() || ''}`;
+}
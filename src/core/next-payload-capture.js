@@ -0,0 +1,164 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+import { DESKTOP_USER_AGENT } from './browser-engine.js';
+import { safeRelativePath } from './filename-utils.js';
+
+const RSC_CONTENT_TYPE = 'text/x-component';
+
+/**
+ * Next Payload Capture - Saves the payloads Next.js client navigation asks
+ * for on every mirrored route: App Router flight data (`?_rsc=`) and Pages
+ * Router `/_next/data/<buildId>/*.json`. Bodies the browser already fetched
+ * (link prefetches) are reused; the rest are requested the way the Next
+ * router would. The runtime rewriter answers those requests from the copies
+ * under assets/_next/, so <Link> navigation keeps working in JS-ON mirrors.
+ */
+export class NextPayloadCapture {
+  constructor(cloner) {
+    this.cloner = cloner;
+    // "rsc:/route" or "path:/_next/data/<buildId>/route.json" -> ./assets/_next/...
+    this.mappings = new Map();
+  }
+
+  isEnabled() {
+    if (this.cloner.options.disableJs) return false;
+    const $ = this.cloner.$;
+    return (
+      this.cloner.analysis?.primaryFramework?.key === 'nextjs' ||
+      (!!$ &&
+        ($('#__NEXT_DATA__').length > 0 ||
+          $('script[src*="/_next/"]').length > 0))
+    );
+  }
+
+  async captureAll() {
+    const axios = (await import('axios')).default;
+    const stats = { rsc: 0, data: 0 };
+
+    for (const { url, $ } of this.cloner.siteCrawler.allPages()) {
+      if (!$) continue;
+      const route = routeKey(url);
+
+      // Pages Router: only pages with getStaticProps/getServerSideProps have a data route
+      const nextData = readNextData($);
+      if (nextData?.buildId && (nextData.gsp || nextData.gssp)) {
+        const dataPath = `/_next/data/${nextData.buildId}${route === '/' ? '/index' : route}.json`;
+        if (await this.captureData(axios, new URL(dataPath, url).href)) {
+          stats.data++;
+        }
+      }
+
+      // App Router pages stream their flight data through self.__next_f
+      const isAppRouter = $('script:not([src])')
+        .toArray()
+        .some((el) => ($(el).html() || '').includes('self.__next_f'));
+      if (isAppRouter && (await this.captureRsc(axios, url, route))) {
+        stats.rsc++;
+      }
+    }
+
+    if (!this.cloner.options.quiet && (stats.rsc || stats.data)) {
+      console.log(
+        chalk.gray(
+          `  ⚛️  Saved ${stats.rsc} RSC and ${stats.data} _next/data payloads for client-side navigation`,
+        ),
+      );
+    }
+    return this.mappings;
+  }
+
+  async captureData(axios, url) {
+    const pathname = new URL(url).pathname;
+    try {
+      const res = await this.cloner.frameworkWriter.fetchAsset(axios, url, {
+        timeout: 30000,
+        headers: {
+          'User-Agent': DESKTOP_USER_AGENT,
+          'x-nextjs-data': '1',
+        },
+      });
+      const body = Buffer.from(res.data);
+      JSON.parse(body.toString('utf8')); // 404 pages and redirects aren't data
+      const rel = path.posix.join(
+        'assets',
+        '_next',
+        'data',
+        safeRelativePath(pathname.slice('/_next/data/'.length)),
+      );
+      await this.save(rel, body);
+      this.mappings.set(`path:${pathname}`, `./${rel}`);
+      return true;
+    } catch (e) {
+      this.cloner.logger.warnNonCritical('next-data', url, e);
+      return false;
+    }
+  }
+
+  async captureRsc(axios, url, route) {
+    let body = this.recordedRsc(route);
+    if (!body) {
+      try {
+        const res = await axios.get(url, {
+          responseType: 'arraybuffer',
+          timeout: 30000,
+          headers: { 'User-Agent': DESKTOP_USER_AGENT, RSC: '1' },
+        });
+        const type = String(res.headers['content-type'] || '');
+        if (!type.includes(RSC_CONTENT_TYPE)) return false; // not an App Router route
+        body = Buffer.from(res.data);
+      } catch (e) {
+        this.cloner.logger.warnNonCritical('rsc', url, e);
+        return false;
+      }
+    }
+
+    const rel = path.posix.join(
+      'assets',
+      '_next',
+      'rsc',
+      route === '/' ? 'index.txt' : `${safeRelativePath(route.slice(1))}.txt`,
+    );
+    await this.save(rel, body);
+    this.mappings.set(`rsc:${route}`, `./${rel}`);
+    return true;
+  }
+
+  // Flight data the browser fetched for route; prefetches of dynamic routes are partial, so full loads win
+  recordedRsc(route) {
+    let prefetch = null;
+    for (const entry of this.cloner.networkRecorder.entries) {
+      if (entry.source !== 'browser' || entry.status !== 200) continue;
+      if (!entry.body.length) continue;
+      const type = String(entry.headers['content-type'] || '');
+      if (!type.includes(RSC_CONTENT_TYPE) || routeKey(entry.url) !== route) {
+        continue;
+      }
+      if (!entry.requestHeaders['next-router-prefetch']) return entry.body;
+      prefetch = prefetch || entry.body;
+    }
+    return prefetch;
+  }
+
+  async save(rel, body) {
+    const dest = path.join(this.cloner.options.outputDir, rel);
+    await fs.ensureDir(path.dirname(dest));
+    await fs.writeFile(dest, body);
+  }
+}
+
+function readNextData($) {
+  try {
+    return JSON.parse($('#__NEXT_DATA__').first().html() || '');
+  } catch {
+    return null;
+  }
+}
+
+// Route pathname without trailing slash or index.html ("/" for the root)
+function routeKey(url) {
+  const pathname = new URL(url).pathname
+    .replace(/\/index\.html$/, '/')
+    .replace(/\/+$/, '');
+  return pathname || '/';
+}
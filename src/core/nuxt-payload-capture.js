@@ -0,0 +1,140 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+import { DESKTOP_USER_AGENT } from './browser-engine.js';
+import { safeRelativePath } from './filename-utils.js';
+
+/**
+ * Nuxt Payload Capture - Keeps Nuxt SSR state usable offline. Route
+ * `_payload.json` files referenced by mirrored pages are saved under
+ * assets/_nuxt/ and answered by the runtime rewriter, absolute asset URLs in
+ * inline `window.__NUXT__` / `__NUXT_DATA__` state are pointed at the
+ * mirrored files, and an import map sends `/_nuxt/` module chunks (which
+ * dynamic import() requests by absolute path) to assets/js.
+ */
+export class NuxtPayloadCapture {
+  constructor(cloner) {
+    this.cloner = cloner;
+    // "path:/route/_payload.json" -> ./assets/_nuxt/payloads/route/_payload.json
+    this.mappings = new Map();
+  }
+
+  isEnabled() {
+    if (this.cloner.options.disableJs) return false;
+    const $ = this.cloner.$;
+    return (
+      this.cloner.analysis?.primaryFramework?.key === 'nuxt' ||
+      (!!$ &&
+        ($('#__nuxt, script#__NUXT_DATA__').length > 0 ||
+          $('script[src*="/_nuxt/"]').length > 0))
+    );
+  }
+
+  async captureAll() {
+    const axios = (await import('axios')).default;
+    let saved = 0;
+
+    for (const { url, $ } of this.cloner.siteCrawler.allPages()) {
+      if (!$) continue;
+      for (const payloadUrl of this.payloadUrls($, url)) {
+        if (await this.capturePayload(axios, payloadUrl)) saved++;
+      }
+    }
+
+    if (!this.cloner.options.quiet && saved) {
+      console.log(
+        chalk.gray(
+          `  💚 Saved ${saved} Nuxt route payloads for client-side navigation`,
+        ),
+      );
+    }
+    return this.mappings;
+  }
+
+  // Nuxt 3 points at extracted payloads from __NUXT_DATA__[data-src] and a fetch preload
+  payloadUrls($, pageUrl) {
+    const refs = [
+      $('script#__NUXT_DATA__').attr('data-src'),
+      ...$('link[rel="preload"][as="fetch"][href]')
+        .toArray()
+        .map((el) => $(el).attr('href')),
+    ];
+    const urls = new Set();
+    for (const ref of refs) {
+      if (!ref || !/_payload\.json(\?|$)/.test(ref)) continue;
+      try {
+        urls.add(new URL(ref, pageUrl).href);
+      } catch {
+        // ignore
+      }
+    }
+    return [...urls];
+  }
+
+  async capturePayload(axios, url) {
+    const { pathname } = new URL(url);
+    if (this.mappings.has(`path:${pathname}`)) return false;
+    try {
+      const res = await this.cloner.frameworkWriter.fetchAsset(axios, url, {
+        timeout: 30000,
+        headers: { 'User-Agent': DESKTOP_USER_AGENT },
+      });
+      const body = Buffer.from(res.data);
+      JSON.parse(body.toString('utf8')); // fallback HTML pages aren't payloads
+      const rel = path.posix.join(
+        'assets',
+        '_nuxt',
+        'payloads',
+        safeRelativePath(pathname),
+      );
+      const dest = path.join(this.cloner.options.outputDir, rel);
+      await fs.ensureDir(path.dirname(dest));
+      await fs.writeFile(dest, body);
+      this.mappings.set(`path:${pathname}`, `./${rel}`);
+      return true;
+    } catch (e) {
+      this.cloner.logger.warnNonCritical('nuxt-payload', url, e);
+      return false;
+    }
+  }
+
+  // Absolute asset URLs serialized into inline state (devalue escapes "/" as \u002F)
+  localizeState($, mappings) {
+    const entries = [...mappings.entries()]
+      .filter(([url]) => /^https?:\/\//i.test(url))
+      .sort((a, b) => b[0].length - a[0].length);
+    if (!entries.length) return;
+
+    $('script:not([src])').each((_, el) => {
+      const $el = $(el);
+      let content = $el.html();
+      if (
+        !content ||
+        ($el.attr('id') !== '__NUXT_DATA__' && !content.includes('__NUXT__'))
+      ) {
+        return;
+      }
+      let changed = false;
+      for (const [url, local] of entries) {
+        for (const form of [url, url.replace(/\//g, '\\u002F')]) {
+          if (!content.includes(form)) continue;
+          const re = new RegExp(`${escapeRegExp(form)}(?![\\w?&=%.~/-])`, 'g');
+          content = content.replace(re, local);
+          changed = true;
+        }
+      }
+      if (changed) $el.html(content);
+    });
+  }
+
+  // dynamic import() asks for /_nuxt/... by absolute path, which a mirror doesn't have
+  injectImportMap($) {
+    this.cloner.frameworkWriter.injectModuleImportMap($, (u) =>
+      u.pathname.includes('/_nuxt/'),
+    );
+  }
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
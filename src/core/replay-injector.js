@@ -0,0 +1,29 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Write replay recordings to assets/data/<file> as `window.<name> = ...;`
+ * assignments. It is a classic script rather than JSON so it also loads,
+ * synchronously, when the mirror is opened over file://.
+ */
+export async function writeReplayData(outputDir, file, globals) {
+  const dest = path.join(outputDir, 'assets', 'data', file);
+  await fs.ensureDir(path.dirname(dest));
+  await fs.writeFile(
+    dest,
+    Object.entries(globals)
+      .map(([name, value]) => `window.${name} = ${JSON.stringify(value)};\n`)
+      .join(''),
+    'utf8',
+  );
+  return dest;
+}
+
+/**
+ * Put a replay shim and the data script it reads first in <head>: both must
+ * run before any page script opens a connection or makes a request.
+ */
+export function injectReplayShim($, file, shim) {
+  $('head').prepend(shim);
+  $('head').prepend(`<script src="./assets/data/${file}"></script>`);
+}
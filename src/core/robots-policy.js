@@ -0,0 +1,183 @@
+import chalk from 'chalk';
+
+const AGENT_TOKEN = 'mirror-web-cli';
+const ROBOTS_UA = `Mozilla/5.0 (compatible; ${AGENT_TOKEN})`;
+
+/**
+ * Robots Policy - Politeness checks for crawled pages: robots.txt
+ * Allow/Disallow rules and Crawl-delay (per origin), plus the noarchive
+ * directive from robots meta tags and X-Robots-Tag headers.
+ * Every check passes when options.respectRobots is false.
+ */
+export class RobotsPolicy {
+  constructor(cloner) {
+    this.cloner = cloner;
+    this.cache = new Map(); // origin -> { rules, crawlDelay, sitemaps }
+  }
+
+  isEnabled() {
+    return this.cloner.options.respectRobots !== false;
+  }
+
+  async forOrigin(url) {
+    const origin = new URL(url).origin;
+    if (this.cache.has(origin)) return this.cache.get(origin);
+
+    let parsed = { rules: [], crawlDelay: 0, sitemaps: [] };
+    try {
+      const axios = (await import('axios')).default;
+      const res = await axios.get(`${origin}/robots.txt`, {
+        responseType: 'text',
+        timeout: 15000,
+        headers: { 'User-Agent': ROBOTS_UA },
+        validateStatus: () => true,
+      });
+      // 4xx means "no restrictions"; 5xx is treated the same to stay usable
+      if (res.status >= 200 && res.status < 300) {
+        parsed = parseRobotsTxt(String(res.data || ''), AGENT_TOKEN);
+      }
+    } catch (e) {
+      if (this.cloner.options.debug) {
+        console.log(
+          chalk.yellow(`⚠️ robots.txt unavailable for ${origin}: ${e.message}`),
+        );
+      }
+    }
+
+    this.cache.set(origin, parsed);
+    return parsed;
+  }
+
+  async isAllowed(url) {
+    if (!this.isEnabled()) return true;
+    const { rules } = await this.forOrigin(url);
+    const u = new URL(url);
+    return isPathAllowed(rules, u.pathname + u.search);
+  }
+
+  // Crawl-delay in milliseconds for the URL's origin (0 when none or disabled)
+  async crawlDelayMs(url) {
+    if (!this.isEnabled()) return 0;
+    const { crawlDelay } = await this.forOrigin(url);
+    return Math.max(0, crawlDelay * 1000);
+  }
+
+  async sitemapsFor(url) {
+    const { sitemaps } = await this.forOrigin(url);
+    return sitemaps;
+  }
+
+  // noarchive / none via X-Robots-Tag header or <meta name="robots">
+  isNoArchive(headers = {}, $ = null) {
+    if (!this.isEnabled()) return false;
+
+    const header = headers['x-robots-tag'] || headers['X-Robots-Tag'] || '';
+    for (const line of String(header).split('\n')) {
+      if (hasNoArchive(stripAgentPrefix(line))) return true;
+    }
+
+    if ($) {
+      const metas = $(`meta[name="robots" i], meta[name="${AGENT_TOKEN}" i]`);
+      return metas
+        .toArray()
+        .some((el) => hasNoArchive($(el).attr('content') || ''));
+    }
+    return false;
+  }
+}
+
+/**
+ * Parse robots.txt into the rules that apply to our agent: groups naming our
+ * token win over "*" groups, and every group for the chosen agent is merged
+ * (RFC 9309). Sitemap lines are global.
+ */
+export function parseRobotsTxt(text, agent = AGENT_TOKEN) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const idx = line.indexOf(':');
+    if (idx <= 0) continue;
+    const key = line.slice(0, idx).trim().toLowerCase();
+    const value = line.slice(idx + 1).trim();
+
+    if (key === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+    if (key === 'user-agent') {
+      if (!lastWasAgent || !current) {
+        current = { agents: [], rules: [], crawlDelay: 0 };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (key === 'allow' || key === 'disallow') {
+      // Empty Disallow means allow everything
+      if (value) current.rules.push({ allow: key === 'allow', path: value });
+    } else if (key === 'crawl-delay') {
+      const n = parseFloat(value);
+      if (Number.isFinite(n) && n > 0) current.crawlDelay = n;
+    }
+  }
+
+  const token = agent.toLowerCase();
+  let matched = groups.filter((g) => g.agents.includes(token));
+  if (!matched.length) matched = groups.filter((g) => g.agents.includes('*'));
+
+  return {
+    rules: matched.flatMap((g) => g.rules),
+    // The most polite delay when merged groups disagree
+    crawlDelay: Math.max(0, ...matched.map((g) => g.crawlDelay)),
+    sitemaps,
+  };
+}
+
+// Longest matching rule wins; Allow wins ties (Google/RFC 9309 semantics)
+export function isPathAllowed(rules, pathWithQuery) {
+  let best = null;
+  for (const rule of rules) {
+    if (!ruleMatches(rule.path, pathWithQuery)) continue;
+    if (
+      !best ||
+      rule.path.length > best.path.length ||
+      (rule.path.length === best.path.length && rule.allow)
+    ) {
+      best = rule;
+    }
+  }
+  return best ? best.allow : true;
+}
+
+function ruleMatches(pattern, target) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const re = body
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${re}${anchored ? '$' : ''}`).test(target);
+}
+
+function stripAgentPrefix(value) {
+  // "googlebot: noarchive" only applies to that agent; "unavailable_after: ..." is a directive
+  const m = /^\s*([a-z0-9_-]+)\s*:\s*(.*)$/i.exec(value);
+  if (!m || m[1].toLowerCase() === 'unavailable_after') return value;
+  return m[1].toLowerCase() === AGENT_TOKEN ? m[2] : '';
+}
+
+function hasNoArchive(value) {
+  return String(value)
+    .toLowerCase()
+    .split(',')
+    .map((s) => s.trim())
+    .some((d) => d === 'noarchive' || d === 'none');
+}
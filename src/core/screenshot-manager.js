@@ -0,0 +1,104 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+
+const THUMB_WIDTH = 480;
+
+/**
+ * Screenshot Manager - Full-page PNGs of the live page and of the offline
+ * mirror (served over http), each with a resized thumbnail, written to
+ * <outputDir>/screenshots/ as visual proof of what was captured.
+ */
+export class ScreenshotManager {
+  constructor(cloner) {
+    this.cloner = cloner;
+    this.shots = new Map(); // label -> { label, file, thumbnail }
+  }
+
+  isEnabled() {
+    return !!this.cloner.options.screenshot;
+  }
+
+  dir() {
+    return path.join(this.cloner.options.outputDir, 'screenshots');
+  }
+
+  // Capture an already loaded page; label becomes the file name (live, offline, ...)
+  async capture(page, label) {
+    await fs.ensureDir(this.dir());
+    const file = path.join(this.dir(), `${label}.png`);
+    await page.evaluate(() => window.scrollTo(0, 0)).catch(() => {});
+    await page.screenshot({ path: file, fullPage: true, type: 'png' });
+
+    const thumbnail = await this.writeThumbnail(file).catch((e) => {
+      this.cloner.logger.warn('Thumbnail generation failed', {
+        category: 'screenshot',
+        url: file,
+        error: e,
+      });
+      return null;
+    });
+
+    const shot = { label, file, thumbnail };
+    this.shots.set(label, shot);
+    if (this.cloner.options.debug) {
+      console.log(chalk.gray(`    📸 ${label} screenshot: ${file}`));
+    }
+    return shot;
+  }
+
+  // Serve the written mirror on a throwaway local server and capture it
+  async captureServed(label = 'offline') {
+    return this.withServedMirror((page) => this.capture(page, label));
+  }
+
+  // Open the written mirror over http in a fresh page (optionally at a given viewport) and run fn(page)
+  async withServedMirror(fn, viewport = null) {
+    const cloner = this.cloner;
+    const { server, baseUrl } = await cloner._startStaticServer(
+      cloner.options.outputDir,
+    );
+    let page;
+    try {
+      page = await cloner.browserEngine.createPage();
+      if (viewport) await page.setViewport(viewport);
+      await page.goto(baseUrl + '/index.html', {
+        waitUntil: 'domcontentloaded',
+        timeout: 30000,
+      });
+      await cloner._evaluateOfflineHealth(page);
+      await cloner.waitForImagesSettled(page, 4000);
+      return await fn(page);
+    } finally {
+      if (page) await page.close().catch(() => {});
+      await new Promise((res) => server.close(() => res()));
+    }
+  }
+
+  async writeThumbnail(file) {
+    const sharp = (await import('sharp')).default;
+    const thumb = file.replace(/\.png$/i, '-thumb.png');
+    // Crop to the first screenful (16:10) so tall pages still give a readable preview
+    const meta = await sharp(file).metadata();
+    const height = Math.min(
+      meta.height || 0,
+      Math.round(((meta.width || 0) * 10) / 16),
+    );
+    await sharp(file)
+      .extract({ left: 0, top: 0, width: meta.width, height: height || 1 })
+      .resize({ width: THUMB_WIDTH, withoutEnlargement: true })
+      .png({ compressionLevel: 9 })
+      .toFile(thumb);
+    return thumb;
+  }
+
+  // [label, path] rows for Display.summary
+  summaryRows() {
+    const rows = [];
+    for (const { label, file, thumbnail } of this.shots.values()) {
+      rows.push([`Shot (${label})`, file]);
+      if (thumbnail) rows.push(['Thumbnail', thumbnail]);
+    }
+    return rows;
+  }
+}
@@ -0,0 +1,183 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+import { load } from 'cheerio';
+import { mimeForFilename } from './filename-utils.js';
+
+/**
+ * Single File Writer - Turns the rewritten index.html into one self-contained
+ * .html file: stylesheets become <style> blocks, and scripts, fonts, images
+ * and media (including url() references inside CSS) become data: URIs.
+ * Only local ./assets files are inlined; remote URLs are left untouched.
+ */
+export class SingleFileWriter {
+  constructor(cloner) {
+    this.cloner = cloner;
+    this.root = '';
+    this.dataUris = new Map(); // absolute file path -> data URI
+  }
+
+  isEnabled() {
+    return !!this.cloner.options.singleFile;
+  }
+
+  async write() {
+    this.root = path.resolve(this.cloner.options.outputDir);
+    const html = await fs.readFile(path.join(this.root, 'index.html'), 'utf8');
+    const $ = load(html);
+
+    // Stylesheets -> <style> (media attribute preserved)
+    $('link[rel="stylesheet"][href]').each((_, el) => {
+      const $el = $(el);
+      const file = this.resolveLocal($el.attr('href'), this.root);
+      if (!file) return;
+      const css = this.inlineCss(fs.readFileSync(file, 'utf8'), file);
+      const media = $el.attr('media');
+      const style = $('<style></style>').text(css);
+      if (media) style.attr('media', media);
+      $el.replaceWith(style);
+    });
+
+    // Hints for local files are pointless once everything is inline
+    $(
+      'link[rel="preload"][href], link[rel="modulepreload"][href], link[rel="prefetch"][href]',
+    ).each((_, el) => {
+      if (this.resolveLocal($(el).attr('href'), this.root)) $(el).remove();
+    });
+
+    // Scripts keep their src (as a data: URI) so async/defer/module ordering is unchanged
+    const attrs = ['src', 'href', 'poster', 'data-src', 'xlink:href'];
+    $(attrs.map((a) => `[${a.replace(':', '\\:')}]`).join(',')).each(
+      (_, el) => {
+        const $el = $(el);
+        if (el.tagName === 'a' || el.tagName === 'area') return; // may point at crawled pages
+        for (const attr of attrs) {
+          const val = $el.attr(attr);
+          const uri = this.dataUriFor(val, this.root);
+          if (uri) $el.attr(attr, uri);
+        }
+      },
+    );
+
+    $('[srcset], [imagesrcset]').each((_, el) => {
+      const $el = $(el);
+      for (const attr of ['srcset', 'imagesrcset']) {
+        const val = $el.attr(attr);
+        if (!val) continue;
+        const updated = val
+          .split(',')
+          .map((s) => s.trim())
+          .filter(Boolean)
+          .map((entry) => {
+            const [url, ...desc] = entry.split(/\s+/);
+            const uri = this.dataUriFor(url, this.root);
+            return uri ? [uri, ...desc].join(' ') : entry;
+          })
+          .join(', ');
+        $el.attr(attr, updated);
+      }
+    });
+
+    $('[style]').each((_, el) => {
+      const $el = $(el);
+      $el.attr('style', this.inlineCssUrls($el.attr('style') || '', this.root));
+    });
+
+    $('style').each((_, el) => {
+      const $el = $(el);
+      const css = $el.html() || '';
+      if (css.trim()) {
+        $el.text(this.inlineCss(css, path.join(this.root, 'index.html')));
+      }
+    });
+
+    // Anything left (runtime rewriter map, inline script strings) still points at ./assets
+    const out = $.html().replace(
+      /(["'(\s])(\.\/assets\/[^"'()\s,]+)/g,
+      (m, lead, ref) => {
+        const uri = this.dataUriFor(ref, this.root);
+        return uri ? lead + uri : m;
+      },
+    );
+
+    const dest = path.join(this.root, `${this.cloner.domain}.html`);
+    await fs.writeFile(dest, out, 'utf8');
+
+    if (!this.cloner.options.quiet) {
+      const mb = (Buffer.byteLength(out) / (1024 * 1024)).toFixed(1);
+      console.log(
+        chalk.gray(
+          `  📄 Single-file HTML (${mb} MB, ${this.dataUris.size} inlined files) -> ${dest}`,
+        ),
+      );
+    }
+    return dest;
+  }
+
+  // Inline @import targets (recursively, as data: stylesheets so media/layer/supports conditions survive) and url() refs
+  inlineCss(css, cssFile, seen = new Set()) {
+    const baseDir = path.dirname(cssFile);
+    seen.add(cssFile);
+
+    const withImports = css.replace(
+      /@import\s+(?:url\(\s*(['"]?)([^'")]+)\1\s*\)|(['"])([^'"]+)\3)([^;]*);/gi,
+      (m, _q1, urlRef, _q2, strRef, conditions) => {
+        const file = this.resolveLocal(urlRef || strRef, baseDir);
+        if (!file || seen.has(file)) return m;
+        const nested = this.inlineCss(
+          fs.readFileSync(file, 'utf8'),
+          file,
+          new Set(seen),
+        );
+        const uri = `data:text/css;base64,${Buffer.from(nested).toString('base64')}`;
+        return `@import url("${uri}")${conditions};`;
+      },
+    );
+
+    return this.inlineCssUrls(withImports, baseDir);
+  }
+
+  inlineCssUrls(css, baseDir) {
+    return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi, (m, _q, ref) => {
+      if (/^data:text\/css/i.test(ref)) return m;
+      const uri = this.dataUriFor(ref, baseDir);
+      return uri ? `url('${uri}')` : m;
+    });
+  }
+
+  dataUriFor(ref, baseDir) {
+    const file = this.resolveLocal(ref, baseDir);
+    if (!file) return null;
+    if (!this.dataUris.has(file)) {
+      const mime = mimeForFilename(file).replace(/;.*$/, '');
+      const body = fs.readFileSync(file).toString('base64');
+      this.dataUris.set(file, `data:${mime};base64,${body}`);
+    }
+    const hash = String(ref).includes('#') ? ref.slice(ref.indexOf('#')) : '';
+    return this.dataUris.get(file) + hash;
+  }
+
+  // Absolute path of a local mirror file referenced by ref, or null for remote/missing refs
+  resolveLocal(ref, baseDir) {
+    if (!ref) return null;
+    const raw = String(ref).trim();
+    if (/^(data:|blob:|https?:|\/\/|#|about:|javascript:|mailto:)/i.test(raw)) {
+      return null;
+    }
+    let clean = raw.split('#')[0].split('?')[0];
+    try {
+      clean = decodeURIComponent(clean);
+    } catch {
+      // keep raw
+    }
+    const abs = clean.startsWith('/')
+      ? path.join(this.root, clean)
+      : path.resolve(baseDir, clean);
+    if (!abs.startsWith(this.root + path.sep)) return null;
+    try {
+      return fs.statSync(abs).isFile() ? abs : null;
+    } catch {
+      return null;
+    }
+  }
+}
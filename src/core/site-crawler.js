@@ -0,0 +1,248 @@
+import chalk from 'chalk';
+import path from 'path';
+import { load } from 'cheerio';
+import { makePagePath } from './filename-utils.js';
+import { SitemapReader } from './sitemap-reader.js';
+
+/**
+ * Site Crawler - Follows <a href> links from mirrored pages (breadth-first)
+ * within depth/page/scope limits. Every crawled page shares the cloner's
+ * asset pool; FrameworkWriter writes each page to its own path/index.html.
+ * Seeds can also come from sitemap.xml, and robots.txt is honored via
+ * the cloner's RobotsPolicy.
+ */
+export class SiteCrawler {
+  constructor(cloner) {
+    this.cloner = cloner;
+    this.pages = []; // { url, localPath, depth, $ } for every page besides the root
+    this.pageMappings = new Map(); // normalized page URL -> output-relative html path
+    this.visited = new Set();
+    this.skipped = []; // { url, reason } for the run summary
+    this.rootHost = '';
+    this.sitemapReader = new SitemapReader(cloner);
+  }
+
+  isEnabled() {
+    return (
+      (this.cloner.options.depth || 0) > 0 || !!this.cloner.options.sitemap
+    );
+  }
+
+  skip(url, reason) {
+    this.skipped.push({ url, reason });
+    if (this.cloner.options.debug) {
+      console.log(chalk.gray(`    ⏭︎ Skipped (${reason}): ${url}`));
+    }
+  }
+
+  // Register the (post-redirect) root page so links back to it map to index.html
+  registerRoot(url) {
+    this.rootHost = new URL(url).hostname;
+    const key = this.normalizeUrl(url);
+    this.visited.add(key);
+    this.pageMappings.set(key, 'index.html');
+  }
+
+  async crawl(rootUrl, root$) {
+    const { depth: maxDepth, maxPages } = this.cloner.options;
+    const robots = this.cloner.robotsPolicy;
+    const limit = Math.max(1, maxPages || 1);
+    const queue = [];
+
+    // Sitemap seeds go first; they count as depth 1
+    if (this.cloner.options.sitemap) {
+      const sources = await this.sitemapReader.resolveSources(rootUrl);
+      const urls = await this.sitemapReader.collect(sources, limit * 4);
+      for (const url of urls) {
+        let u;
+        try {
+          u = new URL(url, rootUrl);
+        } catch {
+          continue;
+        }
+        if (this.isInScope(u.href) && this.looksLikePage(u)) {
+          queue.push({ url: u.href, depth: 1 });
+        }
+      }
+    }
+    if (maxDepth > 0) {
+      for (const url of this.discoverLinks(root$, rootUrl)) {
+        queue.push({ url, depth: 1 });
+      }
+    }
+
+    while (queue.length && this.pages.length + 1 < limit) {
+      const { url, depth } = queue.shift();
+      const key = this.normalizeUrl(url);
+      if (this.visited.has(key)) continue;
+      this.visited.add(key);
+
+      if (!(await robots.isAllowed(url))) {
+        this.skip(url, 'robots.txt Disallow');
+        continue;
+      }
+      const delay = await robots.crawlDelayMs(url);
+      if (delay) await this.cloner.pause(delay);
+
+      const record = await this.mirrorPage(url, depth);
+      if (!record) continue;
+
+      if (depth < maxDepth) {
+        for (const next of this.discoverLinks(record.$, record.url)) {
+          if (!this.visited.has(this.normalizeUrl(next))) {
+            queue.push({ url: next, depth: depth + 1 });
+          }
+        }
+      }
+    }
+
+    if (!this.cloner.options.quiet) {
+      console.log(
+        chalk.gray(
+          `  🕸️ Crawled ${this.pages.length} additional page(s) (depth ${maxDepth}, max ${limit})`,
+        ),
+      );
+    }
+    return this.pages;
+  }
+
+  // Load one page in the browser, snapshot its DOM and harvest its assets into the shared pool
+  async mirrorPage(url, depth) {
+    const cloner = this.cloner;
+    let page;
+    try {
+      if (!cloner.options.quiet) {
+        console.log(chalk.gray(`  🔗 [${this.pages.length + 2}] ${url}`));
+      }
+      page = await cloner.browserEngine.createPage();
+      cloner.networkRecorder.attach(page);
+      const response = await cloner.loadPage(page, url);
+      await cloner.collectComputedAssets(page).catch(() => {});
+      await cloner.waitForNetworkIdle(page, 800).catch(() => {});
+      await cloner.serializeShadowDOM(page).catch(() => {});
+
+      // Redirects can leave the crawl scope or land on an already mirrored page
+      const finalUrl = page.url() || url;
+      if (!this.isInScope(finalUrl)) return null;
+      const finalKey = this.normalizeUrl(finalUrl);
+      const localPath = makePagePath(finalUrl, this.rootHost);
+      const existing =
+        this.pageMappings.get(finalKey) ||
+        (localPath === 'index.html' ||
+        this.pages.some((p) => p.localPath === localPath)
+          ? localPath
+          : null);
+      if (existing) {
+        this.pageMappings.set(this.normalizeUrl(url), existing);
+        return null;
+      }
+
+      const html = await page.content();
+      const record = {
+        url: finalUrl,
+        depth,
+        localPath,
+        $: load(html),
+      };
+      const headers = response?.headers?.() || {};
+      if (cloner.robotsPolicy.isNoArchive(headers, record.$)) {
+        this.skip(url, 'noarchive');
+        return null;
+      }
+      this.pages.push(record);
+      this.visited.add(finalKey);
+      this.pageMappings.set(this.normalizeUrl(url), record.localPath);
+      this.pageMappings.set(finalKey, record.localPath);
+
+      await cloner.withPageContext(record, () =>
+        cloner.assetManager.extractAllAssets(),
+      );
+      return record;
+    } catch (e) {
+      cloner.logger.warn('Failed to crawl page', {
+        category: 'crawl',
+        url,
+        error: e,
+      });
+      return null;
+    } finally {
+      if (page) await page.close().catch(() => {});
+    }
+  }
+
+  discoverLinks($, pageUrl) {
+    const found = [];
+    const seen = new Set();
+    $('a[href]').each((_, el) => {
+      const href = ($(el).attr('href') || '').trim();
+      if (!href || href.startsWith('#')) return;
+      if (/^(mailto|tel|javascript|data|sms|ftp):/i.test(href)) return;
+
+      let abs;
+      try {
+        abs = new URL(href, pageUrl);
+      } catch {
+        return;
+      }
+      abs.hash = '';
+      if (!this.isInScope(abs.href) || !this.looksLikePage(abs)) return;
+
+      const key = this.normalizeUrl(abs.href);
+      if (seen.has(key)) return;
+      seen.add(key);
+      found.push(abs.href);
+    });
+    return found;
+  }
+
+  isInScope(url) {
+    let u;
+    try {
+      u = new URL(url);
+    } catch {
+      return false;
+    }
+    if (u.protocol !== 'http:' && u.protocol !== 'https:') return false;
+
+    const root = this.cloner.baseUrl;
+    if (this.cloner.options.crawlScope === 'subdomains') {
+      const domain = this.cloner.domain;
+      return u.hostname === domain || u.hostname.endsWith(`.${domain}`);
+    }
+    return u.origin === root.origin;
+  }
+
+  // Skip links to downloads and media; only HTML-ish paths become pages
+  looksLikePage(u) {
+    const last = u.pathname.split('/').pop() || '';
+    if (!last.includes('.')) return true;
+    return /\.(html?|php|aspx?|jsp)$/i.test(last);
+  }
+
+  normalizeUrl(url) {
+    try {
+      const u = new URL(url);
+      u.hash = '';
+      if (u.pathname.length > 1) u.pathname = u.pathname.replace(/\/+$/, '');
+      return u.href;
+    } catch {
+      return String(url);
+    }
+  }
+
+  // Local path of a mirrored page, or null when the link target was not mirrored
+  localPathFor(url) {
+    return this.pageMappings.get(this.normalizeUrl(url)) || null;
+  }
+
+  // Root page plus every crawled page: { url, $ } (crawled records carry more)
+  allPages() {
+    return [{ url: this.cloner.url, $: this.cloner.$ }, ...this.pages];
+  }
+
+  // Relative href from one mirrored page to another (both output-relative html paths)
+  relativeHref(fromPath, toPath) {
+    const rel = path.posix.relative(path.posix.dirname(fromPath), toPath);
+    return rel || path.posix.basename(toPath);
+  }
+}
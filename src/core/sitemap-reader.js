@@ -0,0 +1,95 @@
+import chalk from 'chalk';
+import zlib from 'zlib';
+import { load } from 'cheerio';
+
+const MAX_SITEMAPS = 50;
+
+/**
+ * Sitemap Reader - Collects page URLs from sitemap.xml files to seed a crawl.
+ * Follows sitemap indexes and transparently gunzips .xml.gz sitemaps.
+ */
+export class SitemapReader {
+  constructor(cloner) {
+    this.cloner = cloner;
+  }
+
+  // Sitemaps to start from: an explicit --sitemap URL, robots.txt Sitemap lines, or /sitemap.xml
+  async resolveSources(siteUrl) {
+    const explicit = this.cloner.options.sitemap;
+    if (typeof explicit === 'string' && explicit) {
+      return [new URL(explicit, siteUrl).href];
+    }
+    const fromRobots = await this.cloner.robotsPolicy
+      .sitemapsFor(siteUrl)
+      .catch(() => []);
+    if (fromRobots.length) return fromRobots;
+    return [new URL('/sitemap.xml', siteUrl).href];
+  }
+
+  async collect(sources, limit = Infinity) {
+    const pages = [];
+    const seenSitemaps = new Set();
+    const queue = [...sources];
+
+    while (
+      queue.length &&
+      pages.length < limit &&
+      seenSitemaps.size < MAX_SITEMAPS
+    ) {
+      const sitemapUrl = queue.shift();
+      if (seenSitemaps.has(sitemapUrl)) continue;
+      seenSitemaps.add(sitemapUrl);
+
+      const xml = await this.fetchSitemap(sitemapUrl);
+      if (!xml) continue;
+
+      const $ = load(xml, { xmlMode: true });
+      $('sitemapindex > sitemap > loc').each((_, el) => {
+        const loc = $(el).text().trim();
+        if (loc) queue.push(loc);
+      });
+      $('urlset > url > loc').each((_, el) => {
+        const loc = $(el).text().trim();
+        if (loc && pages.length < limit && !pages.includes(loc)) {
+          pages.push(loc);
+        }
+      });
+    }
+
+    if (this.cloner.options.debug) {
+      console.log(
+        chalk.gray(
+          `    Sitemap: ${pages.length} URL(s) from ${seenSitemaps.size} sitemap file(s)`,
+        ),
+      );
+    }
+    return pages;
+  }
+
+  async fetchSitemap(url) {
+    try {
+      const axios = (await import('axios')).default;
+      const res = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: 30000,
+        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; mirror-web-cli)' },
+        validateStatus: () => true,
+      });
+      if (res.status < 200 || res.status >= 300) return null;
+
+      let buf = Buffer.from(res.data);
+      // gzip magic bytes (servers often send .xml.gz without Content-Encoding)
+      if (buf.length > 2 && buf[0] === 0x1f && buf[1] === 0x8b) {
+        buf = zlib.gunzipSync(buf);
+      }
+      return buf.toString('utf8');
+    } catch (e) {
+      this.cloner.logger.warn('Sitemap unavailable', {
+        category: 'sitemap',
+        url,
+        error: e,
+      });
+      return null;
+    }
+  }
+}
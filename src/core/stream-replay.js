@@ -0,0 +1,252 @@
+import chalk from 'chalk';
+import { injectReplayShim, writeReplayData } from './replay-injector.js';
+
+const DATA_FILE = 'stream-replay.js';
+const LOOP_GAP_MS = 1000;
+
+/**
+ * Stream Replay - Records messages received over WebSocket and EventSource
+ * connections during capture (via the DevTools Network domain), with their
+ * timing relative to the connection opening. JS-enabled mirrors get a shim
+ * that swaps WebSocket/EventSource for local players which replay those
+ * messages once or in a loop (--replay-streams).
+ */
+export class StreamReplay {
+  constructor(cloner) {
+    this.cloner = cloner;
+    this.sessions = new WeakMap(); // page -> CDP session
+    this.connections = new Map(); // requestId -> { kind, url, start, messages }
+    this.file = null;
+  }
+
+  isEnabled() {
+    return (
+      !!this.cloner.options.replayStreams && !this.cloner.options.disableJs
+    );
+  }
+
+  mode() {
+    return this.cloner.options.replayStreams === 'once' ? 'once' : 'loop';
+  }
+
+  // Must run before navigation so handshakes are seen
+  async attach(page) {
+    if (!this.isEnabled() || this.sessions.has(page)) return;
+    const session = await page.createCDPSession();
+    this.sessions.set(page, session);
+    await session.send('Network.enable');
+
+    session.on('Network.webSocketWillSendHandshakeRequest', (e) => {
+      const conn = this.connections.get(e.requestId);
+      if (conn && conn.start === null) conn.start = e.timestamp;
+    });
+    session.on('Network.webSocketCreated', (e) => {
+      this.open(e.requestId, 'websocket', e.url, null);
+    });
+    session.on('Network.webSocketFrameReceived', (e) => {
+      const { opcode, payloadData } = e.response || {};
+      if (opcode !== 1 && opcode !== 2) return; // control frames
+      this.push(e.requestId, e.timestamp, {
+        data: payloadData || '',
+        binary: opcode === 2, // payloadData is base64 for binary frames
+      });
+    });
+    session.on('Network.requestWillBeSent', (e) => {
+      if (e.type !== 'EventSource') return;
+      this.open(e.requestId, 'eventsource', e.request.url, e.timestamp);
+    });
+    session.on('Network.eventSourceMessageReceived', (e) => {
+      this.push(e.requestId, e.timestamp, {
+        event: e.eventName || 'message',
+        id: e.eventId || '',
+        data: e.data || '',
+      });
+    });
+  }
+
+  async detach(page) {
+    const session = this.sessions.get(page);
+    if (!session) return;
+    this.sessions.delete(page);
+    await session.detach().catch(() => {});
+  }
+
+  open(requestId, kind, url, start) {
+    if (this.connections.has(requestId)) return;
+    this.connections.set(requestId, { kind, url, start, messages: [] });
+  }
+
+  push(requestId, timestamp, message) {
+    const conn = this.connections.get(requestId);
+    if (!conn) return;
+    if (conn.start === null) conn.start = timestamp;
+    // CDP timestamps are in seconds
+    const t = Math.max(0, Math.round((timestamp - conn.start) * 1000));
+    conn.messages.push({ t, ...message });
+  }
+
+  // { websocket: [{ url, messages }], eventsource: [...] } in connection order
+  recordings() {
+    const out = { websocket: [], eventsource: [] };
+    for (const { kind, url, messages } of this.connections.values()) {
+      if (messages.length) out[kind].push({ url, messages });
+    }
+    return out;
+  }
+
+  async write() {
+    const recordings = this.recordings();
+    const { outputDir } = this.cloner.options;
+    const dest = await writeReplayData(outputDir, DATA_FILE, {
+      __MW_STREAM_RECORDINGS__: recordings,
+    });
+
+    if (!this.cloner.options.quiet) {
+      const count = (list) =>
+        list.reduce((n, conn) => n + conn.messages.length, 0);
+      console.log(
+        chalk.gray(
+          `  📶 Recorded ${count(recordings.websocket)} WebSocket and ${count(recordings.eventsource)} EventSource messages -> ${dest}`,
+        ),
+      );
+    }
+    this.file = dest;
+    return dest;
+  }
+
+  inject($) {
+    const shim = `
+<script>
+(function(){
+  try{
+    const RECORDINGS = window.__MW_STREAM_RECORDINGS__ || { websocket: [], eventsource: [] };
+    const ORIGIN = ${JSON.stringify(this.cloner.url)};
+    const LOOP = ${JSON.stringify(this.mode() === 'loop')};
+    const GAP = ${LOOP_GAP_MS};
+    const DEBUG = ${JSON.stringify(!!this.cloner.options.debug)};
+    function log(){ if (DEBUG) console.log.apply(console, ['[MW stream]'].concat([].slice.call(arguments))); }
+    function absolute(u){ try { return new URL(String(u), ORIGIN).href; } catch { return String(u); } }
+    function stripQuery(u){ return String(u).split(/[?#]/)[0]; }
+    // Connections to the same URL replay their recordings in capture order; tokens in queries differ per session
+    const used = { websocket: {}, eventsource: {} };
+    function find(kind, u){
+      const list = RECORDINGS[kind] || [];
+      const abs = absolute(u);
+      let matches = list.filter(function(r){ return r.url === abs; });
+      if (!matches.length) matches = list.filter(function(r){ return stripQuery(r.url) === stripQuery(abs); });
+      // URLs built from location.host point at the local server instead of the site
+      if (!matches.length && new URL(abs).host === location.host) {
+        const path = new URL(abs).pathname;
+        matches = list.filter(function(r){ return new URL(r.url).pathname === path; });
+      }
+      if (!matches.length) return null;
+      const n = used[kind][abs] || 0;
+      used[kind][abs] = n + 1;
+      return matches[n % matches.length];
+    }
+    function fire(target, event){
+      target.dispatchEvent(event);
+      const handler = target['on' + event.type];
+      if (typeof handler === 'function') handler.call(target, event);
+    }
+    // Runs fn(message) on the recorded schedule; returns a stop function
+    function play(messages, fn){
+      let timers = [];
+      let stopped = false;
+      function round(){
+        timers = messages.map(function(m){ return setTimeout(function(){ if (!stopped) fn(m); }, m.t); });
+        if (LOOP) timers.push(setTimeout(function(){ if (!stopped) round(); }, messages[messages.length - 1].t + GAP));
+      }
+      round();
+      return function(){ stopped = true; timers.forEach(clearTimeout); };
+    }
+    function bytes(b64){
+      const bin = atob(b64); const out = new Uint8Array(bin.length);
+      for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+      return out;
+    }
+
+    if (window.WebSocket) {
+      const NativeWebSocket = window.WebSocket;
+      class MirrorWebSocket extends EventTarget {
+        constructor(url, protocols){
+          const rec = find('websocket', url);
+          if (!rec) return new NativeWebSocket(url, protocols);
+          super();
+          log('replay', url, rec.messages.length + ' messages');
+          this.url = absolute(url);
+          this.protocol = Array.isArray(protocols) ? protocols[0] || '' : protocols || '';
+          this.extensions = '';
+          this.bufferedAmount = 0;
+          this.binaryType = 'blob';
+          this.readyState = 0;
+          this.onopen = this.onmessage = this.onerror = this.onclose = null;
+          const self = this;
+          setTimeout(function(){
+            if (self.readyState !== 0) return;
+            self.readyState = 1;
+            fire(self, new Event('open'));
+            self._stop = play(rec.messages, function(m){
+              let data = m.data;
+              if (m.binary) data = self.binaryType === 'arraybuffer' ? bytes(m.data).buffer : new Blob([bytes(m.data)]);
+              fire(self, new MessageEvent('message', { data: data, origin: new URL(self.url).origin }));
+            });
+          }, 0);
+        }
+        send(data){
+          if (this.readyState === 0) throw new DOMException('Still in CONNECTING state.', 'InvalidStateError');
+          log('send (dropped)', data);
+        }
+        close(code, reason){
+          if (this.readyState >= 2) return;
+          if (this._stop) this._stop();
+          this.readyState = 3;
+          fire(this, new CloseEvent('close', { code: code || 1000, reason: reason || '', wasClean: true }));
+        }
+      }
+      ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'].forEach(function(name, i){
+        Object.defineProperty(MirrorWebSocket, name, { value: i });
+        Object.defineProperty(MirrorWebSocket.prototype, name, { value: i });
+      });
+      window.WebSocket = MirrorWebSocket;
+    }
+
+    if (window.EventSource) {
+      const NativeEventSource = window.EventSource;
+      class MirrorEventSource extends EventTarget {
+        constructor(url, init){
+          const rec = find('eventsource', url);
+          if (!rec) return new NativeEventSource(url, init);
+          super();
+          log('replay', url, rec.messages.length + ' messages');
+          this.url = absolute(url);
+          this.withCredentials = !!(init && init.withCredentials);
+          this.readyState = 0;
+          this.onopen = this.onmessage = this.onerror = null;
+          const self = this;
+          setTimeout(function(){
+            if (self.readyState !== 0) return;
+            self.readyState = 1;
+            fire(self, new Event('open'));
+            self._stop = play(rec.messages, function(m){
+              fire(self, new MessageEvent(m.event || 'message', { data: m.data, lastEventId: m.id || '', origin: new URL(self.url).origin }));
+            });
+          }, 0);
+        }
+        close(){
+          if (this._stop) this._stop();
+          this.readyState = 2;
+        }
+      }
+      ['CONNECTING', 'OPEN', 'CLOSED'].forEach(function(name, i){
+        Object.defineProperty(MirrorEventSource, name, { value: i });
+        Object.defineProperty(MirrorEventSource.prototype, name, { value: i });
+      });
+      window.EventSource = MirrorEventSource;
+    }
+  }catch(e){ if (${JSON.stringify(!!this.cloner.options.debug)}) console.warn('[MW stream shim error]', e); }
+})();
+</script>`;
+    injectReplayShim($, DATA_FILE, shim);
+  }
+}
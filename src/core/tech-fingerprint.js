@@ -0,0 +1,652 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+const REPORT_FILE = 'technologies.json';
+
+// Report order and labels
+const CATEGORIES = {
+  framework: 'Frameworks',
+  cms: 'CMS',
+  ecommerce: 'E-commerce',
+  cdn: 'CDN',
+  hosting: 'Hosting',
+  analytics: 'Analytics',
+  'tag-manager': 'Tag managers',
+  'ab-testing': 'A/B testing',
+  chat: 'Chat',
+  'ui-library': 'UI libraries',
+};
+
+// FrameworkAnalyzer entries that belong in another category
+const FRAMEWORK_CATEGORIES = { wordpress: 'cms' };
+
+/**
+ * Signatures use FrameworkAnalyzer pattern types (header and cookie match the
+ * main document) plus `request`: any URL the page loaded, with an optional
+ * `version` regex whose first group is read from the matching URL. Each
+ * matching pattern adds its weight (default 1) to the confidence, capped at 1.
+ */
+const TECHNOLOGIES = {
+  // CMS
+  drupal: {
+    name: 'Drupal',
+    category: 'cms',
+    patterns: [
+      { type: 'meta', name: 'generator', pattern: /drupal/i },
+      { type: 'header', name: 'x-generator', pattern: /drupal/i },
+      { type: 'request', pattern: /\/sites\/default\/files\/|drupal\.js/ },
+    ],
+  },
+  joomla: {
+    name: 'Joomla',
+    category: 'cms',
+    patterns: [
+      { type: 'meta', name: 'generator', pattern: /joomla/i },
+      { type: 'request', pattern: /\/media\/jui\/|\/media\/system\/js\// },
+    ],
+  },
+  ghost: {
+    name: 'Ghost',
+    category: 'cms',
+    patterns: [
+      { type: 'meta', name: 'generator', pattern: /ghost/i },
+      { type: 'request', pattern: /\/ghost\/api\/|\/public\/ghost/ },
+    ],
+  },
+  webflow: {
+    name: 'Webflow',
+    category: 'cms',
+    patterns: [
+      { type: 'meta', name: 'generator', pattern: /webflow/i },
+      { type: 'attribute', pattern: /^data-wf-(page|site)$/ },
+    ],
+  },
+  squarespace: {
+    name: 'Squarespace',
+    category: 'cms',
+    patterns: [
+      { type: 'request', pattern: /static1?\.squarespace\.com/ },
+      { type: 'cookie', pattern: /^SS_MID$/ },
+    ],
+  },
+  wix: {
+    name: 'Wix',
+    category: 'cms',
+    patterns: [
+      { type: 'meta', name: 'generator', pattern: /wix\.com/i },
+      { type: 'request', pattern: /static\.parastorage\.com|wixstatic\.com/ },
+      { type: 'header', name: 'x-wix-request-id' },
+    ],
+  },
+  contentful: {
+    name: 'Contentful',
+    category: 'cms',
+    patterns: [{ type: 'request', pattern: /ctfassets\.net/ }],
+  },
+  sanity: {
+    name: 'Sanity',
+    category: 'cms',
+    patterns: [{ type: 'request', pattern: /cdn\.sanity\.io/ }],
+  },
+
+  // E-commerce
+  shopify: {
+    name: 'Shopify',
+    category: 'ecommerce',
+    patterns: [
+      { type: 'request', pattern: /cdn\.shopify\.com|\/cdn\/shop\// },
+      { type: 'header', name: 'x-shopid' },
+      { type: 'cookie', pattern: /^_shopify_/ },
+      { type: 'script_content', pattern: /Shopify\.shop\s*=/ },
+    ],
+  },
+  woocommerce: {
+    name: 'WooCommerce',
+    category: 'ecommerce',
+    patterns: [
+      { type: 'request', pattern: /\/plugins\/woocommerce\// },
+      { type: 'class', pattern: /\bwoocommerce\b/, weight: 0.5 },
+    ],
+  },
+  magento: {
+    name: 'Magento',
+    category: 'ecommerce',
+    patterns: [
+      { type: 'request', pattern: /\/static\/version\d+\/frontend\// },
+      { type: 'cookie', pattern: /^mage-/ },
+      { type: 'script_content', pattern: /Magento_/, weight: 0.5 },
+    ],
+  },
+  bigcommerce: {
+    name: 'BigCommerce',
+    category: 'ecommerce',
+    patterns: [{ type: 'request', pattern: /cdn\d*\.bigcommerce\.com/ }],
+  },
+  prestashop: {
+    name: 'PrestaShop',
+    category: 'ecommerce',
+    patterns: [
+      { type: 'meta', name: 'generator', pattern: /prestashop/i },
+      { type: 'cookie', pattern: /^PrestaShop-/ },
+    ],
+  },
+
+  // CDN
+  cloudflare: {
+    name: 'Cloudflare',
+    category: 'cdn',
+    patterns: [
+      { type: 'header', name: 'cf-ray' },
+      { type: 'header', name: 'server', pattern: /cloudflare/i },
+      { type: 'cookie', pattern: /^__cf_bm$|^__cfruid$/ },
+    ],
+  },
+  fastly: {
+    name: 'Fastly',
+    category: 'cdn',
+    patterns: [
+      { type: 'header', name: 'x-fastly-request-id' },
+      { type: 'header', name: 'x-served-by', pattern: /^cache-/ },
+      { type: 'header', name: 'fastly-debug-digest' },
+    ],
+  },
+  cloudfront: {
+    name: 'Amazon CloudFront',
+    category: 'cdn',
+    patterns: [
+      { type: 'header', name: 'x-amz-cf-id' },
+      { type: 'header', name: 'via', pattern: /cloudfront/i },
+    ],
+  },
+  akamai: {
+    name: 'Akamai',
+    category: 'cdn',
+    patterns: [
+      { type: 'header', name: 'server', pattern: /AkamaiGHost/i },
+      { type: 'header', name: 'x-akamai-transformed' },
+    ],
+  },
+  jsdelivr: {
+    name: 'jsDelivr',
+    category: 'cdn',
+    patterns: [{ type: 'request', pattern: /cdn\.jsdelivr\.net/ }],
+  },
+  unpkg: {
+    name: 'unpkg',
+    category: 'cdn',
+    patterns: [{ type: 'request', pattern: /\/\/unpkg\.com\// }],
+  },
+  cdnjs: {
+    name: 'cdnjs',
+    category: 'cdn',
+    patterns: [{ type: 'request', pattern: /cdnjs\.cloudflare\.com/ }],
+  },
+
+  // Hosting
+  vercel: {
+    name: 'Vercel',
+    category: 'hosting',
+    patterns: [
+      { type: 'header', name: 'x-vercel-id' },
+      { type: 'header', name: 'server', pattern: /^vercel$/i },
+    ],
+  },
+  netlify: {
+    name: 'Netlify',
+    category: 'hosting',
+    patterns: [
+      { type: 'header', name: 'x-nf-request-id' },
+      { type: 'header', name: 'server', pattern: /netlify/i },
+    ],
+  },
+  githubPages: {
+    name: 'GitHub Pages',
+    category: 'hosting',
+    patterns: [
+      { type: 'header', name: 'server', pattern: /^GitHub\.com$/i },
+      { type: 'header', name: 'x-github-request-id', weight: 0.5 },
+    ],
+  },
+  heroku: {
+    name: 'Heroku',
+    category: 'hosting',
+    patterns: [{ type: 'header', name: 'via', pattern: /vegur/i }],
+  },
+  s3: {
+    name: 'Amazon S3',
+    category: 'hosting',
+    patterns: [
+      { type: 'header', name: 'server', pattern: /^AmazonS3$/i },
+      { type: 'header', name: 'x-amz-request-id', weight: 0.5 },
+    ],
+  },
+  firebase: {
+    name: 'Firebase Hosting',
+    category: 'hosting',
+    patterns: [
+      { type: 'request', pattern: /\/__\/firebase\// },
+      { type: 'header', name: 'x-firebase-hosting-version', weight: 0.5 },
+    ],
+  },
+  flyio: {
+    name: 'Fly.io',
+    category: 'hosting',
+    patterns: [{ type: 'header', name: 'fly-request-id' }],
+  },
+
+  // Analytics
+  googleAnalytics: {
+    name: 'Google Analytics',
+    category: 'analytics',
+    patterns: [
+      {
+        type: 'request',
+        pattern:
+          /google-analytics\.com\/(analytics|ga)\.js|googletagmanager\.com\/gtag\/js|google-analytics\.com\/(g|j)\/collect/,
+      },
+      { type: 'cookie', pattern: /^_ga(_|$)/ },
+      { type: 'script_content', pattern: /gtag\(\s*['"]config/, weight: 0.5 },
+    ],
+  },
+  plausible: {
+    name: 'Plausible',
+    category: 'analytics',
+    patterns: [{ type: 'request', pattern: /plausible\.io\/js\// }],
+  },
+  matomo: {
+    name: 'Matomo',
+    category: 'analytics',
+    patterns: [
+      { type: 'request', pattern: /matomo\.js|piwik\.js/ },
+      { type: 'script_content', pattern: /_paq\.push/ },
+      { type: 'cookie', pattern: /^_pk_id/ },
+    ],
+  },
+  hotjar: {
+    name: 'Hotjar',
+    category: 'analytics',
+    patterns: [
+      { type: 'request', pattern: /static\.hotjar\.com/ },
+      { type: 'cookie', pattern: /^_hj/ },
+    ],
+  },
+  clarity: {
+    name: 'Microsoft Clarity',
+    category: 'analytics',
+    patterns: [{ type: 'request', pattern: /clarity\.ms\/tag\// }],
+  },
+  mixpanel: {
+    name: 'Mixpanel',
+    category: 'analytics',
+    patterns: [
+      { type: 'request', pattern: /cdn\.mxpnl\.com|mixpanel\.com\/track/ },
+    ],
+  },
+  segment: {
+    name: 'Segment',
+    category: 'analytics',
+    patterns: [
+      { type: 'request', pattern: /cdn\.segment\.com|api\.segment\.io/ },
+    ],
+  },
+  amplitude: {
+    name: 'Amplitude',
+    category: 'analytics',
+    patterns: [
+      { type: 'request', pattern: /cdn\.amplitude\.com|api2?\.amplitude\.com/ },
+    ],
+  },
+  facebookPixel: {
+    name: 'Meta Pixel',
+    category: 'analytics',
+    patterns: [
+      {
+        type: 'request',
+        pattern: /connect\.facebook\.net\/.*\/fbevents\.js|facebook\.com\/tr/,
+      },
+      { type: 'cookie', pattern: /^_fbp$/ },
+    ],
+  },
+
+  // Tag managers
+  gtm: {
+    name: 'Google Tag Manager',
+    category: 'tag-manager',
+    patterns: [
+      { type: 'request', pattern: /googletagmanager\.com\/gtm\.js/ },
+      { type: 'script_content', pattern: /GTM-[A-Z0-9]{4,}/ },
+    ],
+  },
+  tealium: {
+    name: 'Tealium',
+    category: 'tag-manager',
+    patterns: [{ type: 'request', pattern: /tags\.tiqcdn\.com/ }],
+  },
+  adobeLaunch: {
+    name: 'Adobe Experience Platform Tags',
+    category: 'tag-manager',
+    patterns: [{ type: 'request', pattern: /assets\.adobedtm\.com/ }],
+  },
+
+  // A/B testing
+  optimizely: {
+    name: 'Optimizely',
+    category: 'ab-testing',
+    patterns: [
+      { type: 'request', pattern: /cdn\.optimizely\.com/ },
+      { type: 'cookie', pattern: /^optimizely/ },
+    ],
+  },
+  vwo: {
+    name: 'VWO',
+    category: 'ab-testing',
+    patterns: [
+      { type: 'request', pattern: /visualwebsiteoptimizer\.com/ },
+      { type: 'cookie', pattern: /^_vwo/ },
+    ],
+  },
+  abTasty: {
+    name: 'AB Tasty',
+    category: 'ab-testing',
+    patterns: [{ type: 'request', pattern: /try\.abtasty\.com/ }],
+  },
+  launchDarkly: {
+    name: 'LaunchDarkly',
+    category: 'ab-testing',
+    patterns: [{ type: 'request', pattern: /launchdarkly\.com/ }],
+  },
+  googleOptimize: {
+    name: 'Google Optimize',
+    category: 'ab-testing',
+    patterns: [{ type: 'request', pattern: /googleoptimize\.com/ }],
+  },
+
+  // Chat
+  intercom: {
+    name: 'Intercom',
+    category: 'chat',
+    patterns: [
+      { type: 'request', pattern: /widget\.intercom\.io|js\.intercomcdn\.com/ },
+      { type: 'cookie', pattern: /^intercom-/ },
+    ],
+  },
+  drift: {
+    name: 'Drift',
+    category: 'chat',
+    patterns: [{ type: 'request', pattern: /js\.driftt\.com/ }],
+  },
+  zendesk: {
+    name: 'Zendesk Chat',
+    category: 'chat',
+    patterns: [
+      { type: 'request', pattern: /static\.zdassets\.com|zopim\.com/ },
+    ],
+  },
+  crisp: {
+    name: 'Crisp',
+    category: 'chat',
+    patterns: [{ type: 'request', pattern: /client\.crisp\.chat/ }],
+  },
+  tawk: {
+    name: 'Tawk.to',
+    category: 'chat',
+    patterns: [{ type: 'request', pattern: /embed\.tawk\.to/ }],
+  },
+  hubspotChat: {
+    name: 'HubSpot',
+    category: 'chat',
+    patterns: [
+      { type: 'request', pattern: /js\.hs-scripts\.com|js\.usemessages\.com/ },
+    ],
+  },
+
+  // UI libraries
+  jquery: {
+    name: 'jQuery',
+    category: 'ui-library',
+    patterns: [
+      {
+        type: 'request',
+        pattern: /jquery(?:[.-]\d+(?:\.\d+)*)?(?:\.min)?\.js/,
+        version: /jquery[.-](\d+(?:\.\d+)+)/,
+      },
+    ],
+  },
+  bootstrap: {
+    name: 'Bootstrap',
+    category: 'ui-library',
+    patterns: [
+      {
+        type: 'request',
+        pattern: /bootstrap(?:\.bundle)?(?:\.min)?\.(?:css|js)/,
+        version: /bootstrap@?\/?(\d+(?:\.\d+)+)/,
+      },
+      {
+        type: 'class',
+        pattern: /\b(navbar-expand-\w+|col-md-\d+)\b/,
+        weight: 0.5,
+      },
+    ],
+  },
+  tailwind: {
+    name: 'Tailwind CSS',
+    category: 'ui-library',
+    patterns: [
+      {
+        type: 'request',
+        pattern: /cdn\.tailwindcss\.com|tailwind(?:\.min)?\.css/,
+      },
+      {
+        type: 'class',
+        pattern:
+          /\b(?:sm|md|lg|xl):[a-z]+-\S+.*\b(?:text|bg)-(?:gray|slate|zinc)-\d00\b/,
+        weight: 0.5,
+      },
+    ],
+  },
+  fontAwesome: {
+    name: 'Font Awesome',
+    category: 'ui-library',
+    patterns: [
+      {
+        type: 'request',
+        pattern: /font-?awesome|kit\.fontawesome\.com/,
+        version: /font-?awesome[@/](\d+(?:\.\d+)+)/,
+      },
+      { type: 'class', pattern: /\bfa-(solid|regular|brands)\b/, weight: 0.5 },
+    ],
+  },
+  mui: {
+    name: 'MUI',
+    category: 'ui-library',
+    patterns: [{ type: 'class', pattern: /\bMui[A-Z]\w+-root\b/ }],
+  },
+  chakra: {
+    name: 'Chakra UI',
+    category: 'ui-library',
+    patterns: [{ type: 'class', pattern: /\bchakra-/ }],
+  },
+  alpine: {
+    name: 'Alpine.js',
+    category: 'ui-library',
+    patterns: [
+      { type: 'attribute', pattern: /^x-data$/ },
+      { type: 'request', pattern: /alpinejs/ },
+    ],
+  },
+  htmx: {
+    name: 'htmx',
+    category: 'ui-library',
+    patterns: [
+      { type: 'attribute', pattern: /^hx-(get|post|put|delete|patch)$/ },
+      { type: 'request', pattern: /htmx(?:\.min)?\.js|htmx\.org/ },
+    ],
+  },
+  gsap: {
+    name: 'GSAP',
+    category: 'ui-library',
+    patterns: [{ type: 'request', pattern: /gsap(?:\.min)?\.js|\/gsap@/ }],
+  },
+  swiper: {
+    name: 'Swiper',
+    category: 'ui-library',
+    patterns: [
+      { type: 'request', pattern: /swiper(?:-bundle)?(?:\.min)?\.(?:js|css)/ },
+      { type: 'class', pattern: /\bswiper-wrapper\b/, weight: 0.5 },
+    ],
+  },
+};
+
+/**
+ * Tech Fingerprint - Everything a site runs on beyond its framework: CMS,
+ * e-commerce platform, CDN, hosting, analytics, tag managers, A/B testing,
+ * chat widgets and UI libraries. Signatures are matched against the mirrored
+ * HTML (through FrameworkAnalyzer's pattern types), the main document's
+ * response headers, cookies and every URL the page loaded; framework
+ * detections are folded in. Written to technologies.json per category with
+ * confidence and evidence.
+ */
+export class TechFingerprint {
+  constructor(cloner) {
+    this.cloner = cloner;
+    this.requests = new Set(); // URLs the page loaded
+    this.handlers = new WeakMap(); // page -> request handler
+    this.technologies = [];
+  }
+
+  attach(page) {
+    if (this.handlers.has(page)) return;
+    const handler = (request) => {
+      const url = request.url();
+      if (/^https?:/i.test(url)) this.requests.add(url);
+    };
+    page.on('request', handler);
+    this.handlers.set(page, handler);
+  }
+
+  detach(page) {
+    const handler = this.handlers.get(page);
+    if (!handler) return;
+    try {
+      page.off('request', handler);
+    } catch {
+      // ignore
+    }
+    this.handlers.delete(page);
+  }
+
+  async detect(page, headers = {}) {
+    const $ = this.cloner.$;
+    const html = $.html();
+    const cookies = (await page.cookies().catch(() => [])).map((c) => ({
+      name: c.name,
+      value: c.value,
+    }));
+    $('script[src], link[href]').each((_, el) => {
+      const ref = $(el).attr('src') || $(el).attr('href');
+      const abs = this.cloner.resolveUrl(ref);
+      if (/^https?:/i.test(abs)) this.requests.add(abs);
+    });
+    const live = { headers, cookies };
+
+    const found = [];
+    for (const [key, tech] of Object.entries(TECHNOLOGIES)) {
+      const match = this.match($, html, tech.patterns, live);
+      if (match)
+        found.push({ key, name: tech.name, category: tech.category, ...match });
+    }
+
+    const analyzer = this.cloner.frameworkAnalyzer;
+    for (const fw of this.cloner.analysis?.detected || []) {
+      found.push({
+        key: fw.key,
+        name: fw.name,
+        category:
+          analyzer.frameworks[fw.key]?.category ||
+          FRAMEWORK_CATEGORIES[fw.key] ||
+          'framework',
+        confidence: fw.confidence,
+        version: fw.version || null,
+        evidence: fw.evidence || [],
+      });
+    }
+
+    const order = Object.keys(CATEGORIES);
+    const rank = (c) => (order.includes(c) ? order.indexOf(c) : order.length);
+    this.technologies = found.sort(
+      (a, b) =>
+        rank(a.category) - rank(b.category) || b.confidence - a.confidence,
+    );
+    return this.technologies;
+  }
+
+  // { confidence, version, evidence } when any pattern matches
+  match($, html, patterns, live) {
+    const analyzer = this.cloner.frameworkAnalyzer;
+    let confidence = 0;
+    let version = null;
+    const evidence = [];
+    for (const pattern of patterns) {
+      let hit = false;
+      if (pattern.type === 'request') {
+        const url = [...this.requests].find((u) => pattern.pattern.test(u));
+        if (url) {
+          hit = true;
+          version = version || pattern.version?.exec(url)?.[1] || null;
+          evidence.push(`request ${shortUrl(url)}`);
+        }
+      } else if (analyzer.testPattern($, pattern, html, live)) {
+        hit = true;
+        evidence.push(analyzer.describePattern(pattern));
+      }
+      if (hit) confidence += pattern.weight ?? 1;
+    }
+    if (!evidence.length) return null;
+    return { confidence: Math.min(1, confidence), version, evidence };
+  }
+
+  // Category label -> items, in report order
+  grouped() {
+    const groups = new Map();
+    for (const tech of this.technologies) {
+      const label = CATEGORIES[tech.category] || tech.category;
+      if (!groups.has(label)) groups.set(label, []);
+      groups.get(label).push(tech);
+    }
+    return groups;
+  }
+
+  async write() {
+    const technologies = {};
+    for (const tech of this.technologies) {
+      (technologies[tech.category] ||= []).push({
+        name: tech.name,
+        confidence: Math.round(tech.confidence * 100) / 100,
+        version: tech.version,
+        evidence: tech.evidence,
+      });
+    }
+    const dest = path.join(this.cloner.options.outputDir, REPORT_FILE);
+    await fs.ensureDir(this.cloner.options.outputDir);
+    await fs.writeJson(
+      dest,
+      {
+        generatedAt: new Date().toISOString(),
+        url: this.cloner.url,
+        technologies,
+      },
+      { spaces: 2 },
+    );
+    return dest;
+  }
+}
+
+function shortUrl(u) {
+  try {
+    const { host, pathname } = new URL(u);
+    const p = pathname.length > 40 ? `${pathname.slice(0, 40)}…` : pathname;
+    return host + p;
+  } catch {
+    return u;
+  }
+}
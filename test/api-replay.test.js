@@ -0,0 +1,197 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ApiReplay,
+  graphqlKey,
+  graphqlOperations,
+  hashBody,
+  replayKey,
+} from '../src/core/api-replay.js';
+
+const ENDPOINT = 'https://api.x.test/graphql';
+
+test('hashBody is a stable FNV-1a hex hash, empty for no body', () => {
+  assert.equal(hashBody(''), '');
+  assert.equal(hashBody(undefined), '');
+  assert.equal(hashBody('a'), 'e40c292c');
+  assert.equal(hashBody('{"a":1}'), hashBody('{"a":1}'));
+  assert.notEqual(hashBody('{"a":1}'), hashBody('{"a":2}'));
+});
+
+test('replayKey combines method, URL and body hash', () => {
+  assert.equal(
+    replayKey('get', 'https://x.test/api', ''),
+    'GET https://x.test/api ',
+  );
+  assert.equal(
+    replayKey('POST', 'https://x.test/api', 'a'),
+    'POST https://x.test/api e40c292c',
+  );
+});
+
+test('non-GraphQL requests yield no operations', () => {
+  assert.equal(graphqlOperations('GET', 'https://x.test/api?id=1', ''), null);
+  assert.equal(graphqlOperations('POST', ENDPOINT, 'not json'), null);
+  assert.equal(graphqlOperations('POST', ENDPOINT, '{"id":1}'), null);
+  assert.equal(graphqlOperations('POST', ENDPOINT, '[]'), null);
+});
+
+test('reads the operation name from the body or the query text', () => {
+  const [named] = graphqlOperations(
+    'POST',
+    ENDPOINT,
+    JSON.stringify({
+      query:
+        'fragment F on User { id } query GetUser($id: ID!) { user(id: $id) { ...F } }',
+      variables: { id: '1' },
+    }),
+  );
+  assert.equal(named.name, 'GetUser');
+  assert.equal(named.type, 'query');
+  assert.equal(named.id, 'GetUser');
+  assert.equal(named.batched, false);
+
+  const [explicit] = graphqlOperations(
+    'POST',
+    ENDPOINT,
+    JSON.stringify({ operationName: 'Save', query: 'mutation Save { save }' }),
+  );
+  assert.equal(explicit.id, 'Save');
+  assert.equal(explicit.type, 'mutation');
+
+  const [anonymous] = graphqlOperations(
+    'POST',
+    ENDPOINT,
+    JSON.stringify({ query: '{ viewer { id } }' }),
+  );
+  assert.equal(anonymous.type, 'query');
+  assert.match(anonymous.id, /^anon:[0-9a-f]+$/);
+  // Whitespace and comments don't change an anonymous operation's identity
+  const [reformatted] = graphqlOperations(
+    'POST',
+    ENDPOINT,
+    JSON.stringify({ query: '# comment\n{\n  viewer { id }\n}' }),
+  );
+  assert.equal(reformatted.id, anonymous.id);
+});
+
+test('reads GET operations and persisted-query hashes', () => {
+  const url = new URL(ENDPOINT);
+  url.searchParams.set('operationName', 'Feed');
+  url.searchParams.set('variables', JSON.stringify({ first: 10 }));
+  url.searchParams.set(
+    'extensions',
+    JSON.stringify({ persistedQuery: { version: 1, sha256Hash: 'abc123' } }),
+  );
+  const [op] = graphqlOperations('GET', url.href, '');
+  assert.equal(op.id, 'Feed');
+  assert.equal(op.hash, 'abc123');
+  assert.deepEqual(op.variables, { first: 10 });
+
+  url.searchParams.delete('operationName');
+  assert.equal(graphqlOperations('GET', url.href, '')[0].id, 'abc123');
+});
+
+test('splits batched requests into one operation each', () => {
+  const ops = graphqlOperations(
+    'POST',
+    ENDPOINT,
+    JSON.stringify([
+      { query: 'query A { a }' },
+      { query: 'query B($x: Int) { b(x: $x) }', variables: { x: 1 } },
+    ]),
+  );
+  assert.deepEqual(
+    ops.map((op) => [op.id, op.batched]),
+    [
+      ['A', true],
+      ['B', true],
+    ],
+  );
+});
+
+test('graphqlKey ignores variable key order but not values', () => {
+  const key = (variables) => graphqlKey({ id: 'Search', variables });
+  assert.equal(
+    key({ q: 'x', filter: { a: 1, b: 2 } }),
+    key({ filter: { b: 2, a: 1 }, q: 'x' }),
+  );
+  assert.notEqual(key({ q: 'x' }), key({ q: 'y' }));
+  assert.match(key({}), /^Search [0-9a-f]+$/);
+});
+
+function replayOf(entries) {
+  const replay = new ApiReplay({
+    url: 'https://x.test/',
+    options: { replayApi: true },
+    networkRecorder: { entries },
+  });
+  return replay.collect();
+}
+
+const apiEntry = (fields) => ({
+  source: 'browser',
+  resourceType: 'fetch',
+  method: 'GET',
+  postData: '',
+  status: 200,
+  statusText: 'OK',
+  headers: { 'content-type': 'application/json' },
+  body: Buffer.from('{"ok":true}'),
+  ...fields,
+});
+
+test('replays a redirected request as the response it led to', () => {
+  const recordings = replayOf([
+    apiEntry({
+      url: 'https://x.test/api/me',
+      status: 302,
+      statusText: 'Found',
+      headers: { location: '/api/v2/me' },
+      body: Buffer.alloc(0),
+    }),
+    apiEntry({ url: 'https://x.test/api/v2/me' }),
+    apiEntry({
+      url: 'https://x.test/api/save',
+      method: 'POST',
+      postData: '{"a":1}',
+      status: 303,
+      headers: { location: '/api/saved' },
+      body: Buffer.alloc(0),
+    }),
+    apiEntry({ url: 'https://x.test/api/saved', body: Buffer.from('"saved"') }),
+  ]);
+
+  const me = recordings[replayKey('GET', 'https://x.test/api/me', '')];
+  assert.equal(me.status, 200);
+  assert.equal(me.body, '{"ok":true}');
+  const saved =
+    recordings[replayKey('POST', 'https://x.test/api/save', '{"a":1}')];
+  assert.equal(saved.status, 200);
+  assert.equal(saved.body, '"saved"');
+});
+
+test('skips redirects whose target was not captured', () => {
+  const recordings = replayOf([
+    apiEntry({
+      url: 'https://x.test/api/gone',
+      status: 301,
+      headers: { location: 'https://elsewhere.test/api' },
+      body: Buffer.alloc(0),
+    }),
+    apiEntry({
+      url: 'https://x.test/api/post',
+      method: 'POST',
+      postData: 'x',
+      status: 307,
+      headers: { location: '/api/post2' },
+      body: Buffer.alloc(0),
+    }),
+    // A 307 repeats the POST, so a GET of the target is not its response
+    apiEntry({ url: 'https://x.test/api/post2' }),
+  ]);
+
+  assert.deepEqual(Object.keys(recordings), [
+    replayKey('GET', 'https://x.test/api/post2', ''),
+  ]);
+});
@@ -0,0 +1,146 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import {
+  ArchiveWriter,
+  cdxTimestamp,
+  crc32,
+  createZip,
+  surt,
+} from '../src/core/archive-writer.js';
+
+const TS = Date.UTC(2024, 2, 5, 6, 7, 8, 900);
+
+function fakeCloner(entries) {
+  return {
+    url: entries[0].url,
+    domain: 'x.test',
+    options: { formats: ['wacz'], quiet: true },
+    siteCrawler: { pages: [] },
+    networkRecorder: {
+      entries,
+      byUrl: new Map(entries.map((e) => [e.url, e])),
+      lookup: (url) => entries.find((e) => e.url === url) || null,
+    },
+  };
+}
+
+function entry(url, body, contentType) {
+  return {
+    url,
+    method: 'GET',
+    status: 200,
+    statusText: 'OK',
+    headers: { 'content-type': contentType },
+    requestHeaders: {},
+    body: Buffer.from(body),
+    timestamp: TS,
+  };
+}
+
+// Central directory entries, read back the way unzip tools do
+function readZip(buf) {
+  const end = buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buf.readUInt16LE(end + 10);
+  let at = buf.readUInt32LE(end + 16);
+  const files = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(buf.readUInt32LE(at), 0x02014b50);
+    const size = buf.readUInt32LE(at + 20);
+    const nameLength = buf.readUInt16LE(at + 28);
+    const offset = buf.readUInt32LE(at + 42);
+    const name = buf.toString('utf8', at + 46, at + 46 + nameLength);
+    assert.equal(buf.readUInt32LE(offset), 0x04034b50);
+    const dataStart = offset + 30 + buf.readUInt16LE(offset + 26);
+    files.push({
+      name,
+      crc: buf.readUInt32LE(at + 16),
+      method: buf.readUInt16LE(at + 10),
+      data: buf.subarray(dataStart, dataStart + size),
+    });
+    at += 46 + nameLength;
+  }
+  return files;
+}
+
+test('surt reverses hosts, drops www and default ports', () => {
+  assert.equal(surt('https://www.Example.com/A/b?x=1'), 'com,example)/a/b?x=1');
+  assert.equal(surt('http://sub.example.co.uk/'), 'uk,co,example,sub)/');
+  assert.equal(surt('https://example.com:443/'), 'com,example)/');
+  assert.equal(surt('http://example.com:8080/p'), 'com,example:8080)/p');
+  assert.equal(surt('not a url'), 'not a url');
+});
+
+test('cdxTimestamp is a 14-digit UTC timestamp', () => {
+  assert.equal(cdxTimestamp(TS), '20240305060708');
+});
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+  assert.equal(crc32(Buffer.alloc(0)), 0);
+});
+
+test('createZip writes a stored archive with a valid central directory', () => {
+  const files = [
+    { name: 'a.txt', data: Buffer.from('hello') },
+    { name: 'dir/ü.json', data: Buffer.from('{"b":2}') },
+  ];
+  const read = readZip(createZip(files));
+  assert.deepEqual(
+    read.map((f) => f.name),
+    files.map((f) => f.name),
+  );
+  read.forEach((f, i) => {
+    assert.equal(f.method, 0);
+    assert.equal(f.crc, crc32(files[i].data));
+    assert.deepEqual(f.data, files[i].data);
+  });
+});
+
+test('WACZ index points at gzip members holding each response', () => {
+  const entries = [
+    entry('https://x.test/', '<html></html>', 'text/html; charset=utf-8'),
+    entry('https://x.test/app.css', 'body{}', 'text/css'),
+  ];
+  const writer = new ArchiveWriter(fakeCloner(entries));
+  const { warc, index } = writer.buildWarc('data.warc.gz');
+  const files = readZip(writer.buildWacz(warc, index));
+  const byName = Object.fromEntries(files.map((f) => [f.name, f.data]));
+
+  assert.deepEqual(Object.keys(byName).sort(), [
+    'archive/data.warc.gz',
+    'datapackage-digest.json',
+    'datapackage.json',
+    'indexes/index.cdx',
+    'pages/pages.jsonl',
+  ]);
+  assert.deepEqual(byName['archive/data.warc.gz'], warc);
+
+  const lines = byName['indexes/index.cdx'].toString().trim().split('\n');
+  assert.equal(lines.length, 2);
+  assert.deepEqual(
+    lines.map((l) => l.split(' ')[0]),
+    ['test,x)/', 'test,x)/app.css'],
+  );
+  for (const line of lines) {
+    const [, timestamp, json] = line.match(/^\S+ (\d{14}) (.*)$/);
+    assert.equal(timestamp, '20240305060708');
+    const record = JSON.parse(json);
+    const member = warc.subarray(
+      Number(record.offset),
+      Number(record.offset) + Number(record.length),
+    );
+    const text = zlib.gunzipSync(member).toString();
+    assert.match(text, /^WARC\/1\.1\r\n/);
+    assert.match(text, /WARC-Type: response/);
+    assert.ok(text.includes(`WARC-Target-URI: ${record.url}`));
+  }
+  assert.equal(
+    JSON.parse(lines[1].split(' ').slice(2).join(' ')).mime,
+    'text/css',
+  );
+
+  const pkg = JSON.parse(byName['datapackage.json']);
+  assert.equal(pkg.mainPageUrl, 'https://x.test/');
+  assert.equal(pkg.resources.length, 3);
+});
@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { loadDetectorRules } from '../src/core/detector-rules.js';
+
+async function withRules(name, content, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mw-rules-'));
+  try {
+    const file = path.join(dir, name);
+    await fs.writeFile(file, content, 'utf8');
+    return await fn(file);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+const json = (value) => JSON.stringify(value);
+
+test('normalizes detectors from JSON', async () => {
+  const rules = await withRules(
+    'rules.json',
+    json({
+      detectors: {
+        acme: {
+          patterns: [
+            { type: 'class', pattern: '/^acme-/i' },
+            { type: 'header', name: 'X-Acme' },
+            { type: 'cookie', pattern: 'acme_session', value: 'v\\d' },
+          ],
+          strategy: 'Keep the Acme loader',
+          jsMode: 'OFF',
+          threshold: 0.5,
+        },
+      },
+    }),
+    loadDetectorRules,
+  );
+
+  const acme = rules.acme;
+  assert.equal(acme.name, 'acme');
+  assert.equal(acme.jsMode, 'off');
+  assert.equal(acme.threshold, 0.5);
+  assert.equal(acme.strategy, 'Keep the Acme loader');
+  assert.equal(acme.custom, true);
+  assert.deepEqual(acme.patterns[0].pattern, /^acme-/i);
+  assert.equal(acme.patterns[1].name, 'x-acme');
+  assert.deepEqual(acme.patterns[2].pattern, /acme_session/);
+  assert.deepEqual(acme.patterns[2].value, /v\d/);
+});
+
+test('loads a bare detectors map from YAML, and jsMode auto means no override', async () => {
+  const rules = await withRules(
+    'rules.yaml',
+    [
+      'acme:',
+      '  name: Acme UI',
+      '  jsMode: auto',
+      '  patterns:',
+      '    - type: meta',
+      '      name: generator',
+      '      pattern: /acme/i',
+    ].join('\n'),
+    loadDetectorRules,
+  );
+
+  assert.equal(rules.acme.name, 'Acme UI');
+  assert.equal(rules.acme.jsMode, null);
+  assert.deepEqual(rules.acme.patterns[0].pattern, /acme/i);
+});
+
+test('rejects malformed YAML', async () => {
+  await withRules('rules.yml', 'acme: [unclosed', (file) =>
+    assert.rejects(loadDetectorRules(file), /Invalid detector rules YAML/),
+  );
+});
+
+test('rejects malformed JSON', async () => {
+  await withRules('rules.json', '{ "acme": ', (file) =>
+    assert.rejects(loadDetectorRules(file), /Invalid detector rules JSON/),
+  );
+});
+
+test('rejects an invalid regex', async () => {
+  await withRules(
+    'rules.json',
+    json({ acme: { patterns: [{ type: 'class', pattern: '/acme(/' }] } }),
+    (file) =>
+      assert.rejects(
+        loadDetectorRules(file),
+        /Detector "acme" pattern 1: invalid pattern regex/,
+      ),
+  );
+});
+
+test('rejects an unknown pattern type', async () => {
+  await withRules(
+    'rules.json',
+    json({ acme: { patterns: [{ type: 'dom', pattern: 'x' }] } }),
+    (file) =>
+      assert.rejects(
+        loadDetectorRules(file),
+        /Detector "acme" pattern 1: unknown type "dom"/,
+      ),
+  );
+});
+
+test('rejects patterns missing required fields', async () => {
+  await withRules(
+    'rules.json',
+    json({ acme: { patterns: [{ type: 'meta', pattern: 'x' }] } }),
+    (file) => assert.rejects(loadDetectorRules(file), /is missing name/),
+  );
+});
+
+test('rejects empty patterns, bad jsMode and out-of-range thresholds', async () => {
+  const cases = [
+    [{ acme: { patterns: [] } }, /needs a non-empty patterns list/],
+    [
+      {
+        acme: { jsMode: 'maybe', patterns: [{ type: 'class', pattern: 'x' }] },
+      },
+      /invalid jsMode "maybe"/,
+    ],
+    [
+      { acme: { threshold: 2, patterns: [{ type: 'class', pattern: 'x' }] } },
+      /threshold must be between 0 and 1/,
+    ],
+    [[], /must be an object of detectors/],
+  ];
+  for (const [rules, error] of cases) {
+    await withRules('rules.json', json(rules), (file) =>
+      assert.rejects(loadDetectorRules(file), error),
+    );
+  }
+});
+
+test('rejects a missing file', async () => {
+  await assert.rejects(
+    loadDetectorRules(path.join(os.tmpdir(), 'mw-no-such-rules.json')),
+    /Detector rules file not found/,
+  );
+});
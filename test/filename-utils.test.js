@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  correctAssetExtension,
+  makePagePath,
+  safeRelativePath,
+  sniffExtension,
+} from '../src/core/filename-utils.js';
+
+const bytes = (...values) => Buffer.from(values);
+
+// ftyp box: size, 'ftyp', major brand, minor version, compatible brands
+function ftyp(major, ...compatible) {
+  const brands = [major, '\0\0\0\0', ...compatible].join('');
+  const size = Buffer.alloc(4);
+  size.writeUInt32BE(8 + brands.length);
+  return Buffer.concat([size, Buffer.from(`ftyp${brands}`, 'latin1')]);
+}
+
+test('sniffs common image, font and media signatures', () => {
+  assert.equal(sniffExtension(bytes(0x89, 0x50, 0x4e, 0x47, 0x0d)), 'png');
+  assert.equal(sniffExtension(bytes(0xff, 0xd8, 0xff, 0xe0)), 'jpg');
+  assert.equal(sniffExtension(Buffer.from('GIF89a')), 'gif');
+  assert.equal(sniffExtension(Buffer.from('RIFF\0\0\0\0WEBPVP8 ')), 'webp');
+  assert.equal(sniffExtension(Buffer.from('wOF2\0\0')), 'woff2');
+  assert.equal(sniffExtension(bytes(0x00, 0x01, 0x00, 0x00, 0x00)), 'ttf');
+  assert.equal(sniffExtension(Buffer.from('\0asm\x01\0\0\0')), 'wasm');
+  assert.equal(
+    sniffExtension(Buffer.from('<?xml version="1.0"?>\n<svg xmlns="">')),
+    'svg',
+  );
+});
+
+test('only treats a "true" prefix as TrueType for font or binary types', () => {
+  const body = Buffer.from('true\0\0\0\0');
+  assert.equal(sniffExtension(body, 'font/ttf'), 'ttf');
+  assert.equal(sniffExtension(body, 'application/octet-stream'), 'ttf');
+  assert.equal(sniffExtension(Buffer.from('true'), 'application/json'), 'json');
+  assert.equal(sniffExtension(Buffer.from('true story'), 'text/plain'), null);
+  assert.equal(sniffExtension(Buffer.from('true story')), null);
+});
+
+test('maps ftyp brands to avif, heic, mov, m4a and mp4', () => {
+  assert.equal(sniffExtension(ftyp('avif', 'mif1', 'miaf')), 'avif');
+  assert.equal(sniffExtension(ftyp('mif1', 'avif', 'miaf')), 'avif');
+  assert.equal(sniffExtension(ftyp('heic', 'mif1', 'heic')), 'heic');
+  assert.equal(sniffExtension(ftyp('mif1', 'heic')), 'heic');
+  assert.equal(sniffExtension(ftyp('msf1', 'hevc')), 'heic');
+  assert.equal(sniffExtension(ftyp('qt  ', 'qt  ')), 'mov');
+  assert.equal(sniffExtension(ftyp('M4A ', 'isom')), 'm4a');
+  assert.equal(sniffExtension(ftyp('isom', 'iso2', 'mp41')), 'mp4');
+});
+
+test('tells MP3 frames apart from ADTS AAC', () => {
+  assert.equal(sniffExtension(Buffer.from('ID3\x04\0')), 'mp3');
+  assert.equal(sniffExtension(bytes(0xff, 0xfb, 0x90, 0x64)), 'mp3');
+  assert.equal(sniffExtension(bytes(0xff, 0xf1, 0x50, 0x80)), null);
+  assert.equal(sniffExtension(bytes(0xff, 0xf9, 0x50, 0x80)), null);
+});
+
+test('falls back to the content type, ignoring generic ones', () => {
+  const text = Buffer.from('hello world');
+  assert.equal(sniffExtension(text, 'image/png; charset=binary'), 'png');
+  assert.equal(sniffExtension(text, 'application/octet-stream'), null);
+  assert.equal(sniffExtension(text, 'text/plain'), null);
+});
+
+test('correctAssetExtension renames mismatched downloads only', () => {
+  const png = bytes(0x89, 0x50, 0x4e, 0x47, 0x0d);
+  assert.equal(correctAssetExtension('a_1.jpg', png, '', 'images'), 'a_1.png');
+  assert.equal(correctAssetExtension('a_1.png', png, '', 'images'), 'a_1.png');
+  assert.equal(
+    correctAssetExtension('photo', ftyp('heic', 'mif1'), '', 'images'),
+    'photo.heic',
+  );
+  // Scripts and stylesheets keep their names whatever the body looks like
+  assert.equal(
+    correctAssetExtension('app.js', png, 'image/png', 'scripts'),
+    'app.js',
+  );
+  assert.equal(
+    correctAssetExtension(
+      'data.json',
+      Buffer.from('true'),
+      'application/json',
+      'bin',
+    ),
+    'data.json',
+  );
+});
+
+test('makePagePath maps page URLs to nested index files', () => {
+  assert.equal(makePagePath('https://x.test/'), 'index.html');
+  assert.equal(makePagePath('https://x.test/about'), 'about/index.html');
+  assert.equal(makePagePath('https://x.test/about/'), 'about/index.html');
+  assert.equal(makePagePath('https://x.test/docs/a.html'), 'docs/a/index.html');
+  assert.equal(
+    makePagePath('https://x.test/docs/index.html'),
+    'docs/index.html',
+  );
+  assert.equal(makePagePath('https://x.test/a%20b'), 'a_b/index.html');
+  assert.equal(
+    makePagePath('https://blog.x.test/post', 'x.test'),
+    'blog.x.test/post/index.html',
+  );
+  assert.match(
+    makePagePath('https://x.test/search?q=1'),
+    /^search\/index_[0-9a-f]{10}\.html$/,
+  );
+  assert.notEqual(
+    makePagePath('https://x.test/search?q=1'),
+    makePagePath('https://x.test/search?q=2'),
+  );
+  assert.equal(makePagePath('not a url'), 'index.html');
+});
+
+test('safeRelativePath keeps paths inside the output folder', () => {
+  assert.equal(safeRelativePath('/a/b.json'), 'a/b.json');
+  assert.equal(safeRelativePath('../../etc/passwd'), 'etc/passwd');
+  assert.equal(safeRelativePath('a/%2E%2E/b'), 'a/b');
+  assert.equal(safeRelativePath('a%20b/c d'), 'a_b/c_d');
+  assert.equal(safeRelativePath('a/%E0%A4/b'), 'a/_E0_A4/b');
+  assert.equal(safeRelativePath('//a//b/'), 'a/b');
+});
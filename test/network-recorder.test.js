@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NetworkRecorder } from '../src/core/network-recorder.js';
+
+function recorder() {
+  return new NetworkRecorder({ options: { networkCapture: true } });
+}
+
+const exchange = (fields) => ({
+  status: 200,
+  source: 'browser',
+  body: Buffer.from('body'),
+  ...fields,
+});
+
+test('lookup ignores a POST recorded before the GET of the same URL', () => {
+  const r = recorder();
+  const url = 'https://x.test/app.css';
+  r.record(
+    exchange({ url, method: 'POST', postData: 'q=1', body: Buffer.from('{}') }),
+  );
+  assert.equal(r.lookup(url), null);
+
+  r.record(exchange({ url, method: 'GET', body: Buffer.from('body{}') }));
+  assert.equal(r.lookup(url).method, 'GET');
+  assert.equal(r.lookup(url).body.toString(), 'body{}');
+  assert.equal(r.entries.length, 2);
+});
+
+test('lookup follows redirects and skips partial or empty bodies', () => {
+  const r = recorder();
+  r.record(
+    exchange({
+      url: 'https://x.test/old.png',
+      status: 301,
+      headers: { location: '/new.png' },
+      body: Buffer.alloc(0),
+    }),
+  );
+  r.record(exchange({ url: 'https://x.test/new.png' }));
+  r.record(exchange({ url: 'https://x.test/video.mp4', status: 206 }));
+  r.record(exchange({ url: 'https://x.test/empty.js', body: Buffer.alloc(0) }));
+  r.record(exchange({ url: 'https://x.test/axios.js', source: 'download' }));
+
+  assert.equal(
+    r.lookup('https://x.test/old.png#frag').url,
+    'https://x.test/new.png',
+  );
+  assert.equal(r.lookup('https://x.test/video.mp4'), null);
+  assert.equal(r.lookup('https://x.test/empty.js'), null);
+  assert.equal(r.lookup('https://x.test/axios.js'), null);
+  assert.equal(r.lookup('https://x.test/missing.js'), null);
+});
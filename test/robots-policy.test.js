@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isPathAllowed, parseRobotsTxt } from '../src/core/robots-policy.js';
+
+test('merges duplicate groups for the same user-agent', () => {
+  const { rules, crawlDelay } = parseRobotsTxt(
+    [
+      'User-agent: *',
+      'Disallow: /private/',
+      'Crawl-delay: 1',
+      '',
+      'User-agent: googlebot',
+      'Disallow: /',
+      '',
+      'User-agent: *',
+      'Disallow: /tmp/',
+      'Allow: /private/public-page',
+      'Crawl-delay: 3',
+    ].join('\n'),
+  );
+
+  assert.equal(rules.length, 3);
+  assert.equal(isPathAllowed(rules, '/private/secret'), false);
+  assert.equal(isPathAllowed(rules, '/tmp/file'), false);
+  assert.equal(isPathAllowed(rules, '/private/public-page'), true);
+  assert.equal(isPathAllowed(rules, '/about'), true);
+  assert.equal(crawlDelay, 3);
+});
+
+test('groups naming our token replace the "*" groups', () => {
+  const { rules } = parseRobotsTxt(
+    [
+      'User-agent: *',
+      'Disallow: /',
+      '',
+      'User-agent: mirror-web-cli',
+      'Disallow: /a/',
+      '',
+      'User-agent: Mirror-Web-CLI',
+      'Disallow: /b/',
+    ].join('\n'),
+  );
+
+  assert.equal(isPathAllowed(rules, '/a/x'), false);
+  assert.equal(isPathAllowed(rules, '/b/x'), false);
+  assert.equal(isPathAllowed(rules, '/c/x'), true);
+});
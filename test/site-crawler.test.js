@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SiteCrawler } from '../src/core/site-crawler.js';
+
+function crawler(crawlScope) {
+  const url = 'https://www.x.test/start';
+  return new SiteCrawler({
+    url,
+    baseUrl: new URL(url),
+    domain: 'x.test',
+    options: { crawlScope },
+  });
+}
+
+test('origin scope only accepts the exact origin', () => {
+  const c = crawler('origin');
+  assert.equal(c.isInScope('https://www.x.test/about'), true);
+  assert.equal(c.isInScope('https://www.x.test/a?b=1#c'), true);
+  assert.equal(c.isInScope('http://www.x.test/about'), false);
+  assert.equal(c.isInScope('https://www.x.test:8443/about'), false);
+  assert.equal(c.isInScope('https://blog.x.test/'), false);
+  assert.equal(c.isInScope('https://x.test/'), false);
+  assert.equal(c.isInScope('https://other.test/'), false);
+});
+
+test('subdomain scope accepts the domain and any subdomain', () => {
+  const c = crawler('subdomains');
+  assert.equal(c.isInScope('https://x.test/'), true);
+  assert.equal(c.isInScope('https://blog.x.test/post'), true);
+  assert.equal(c.isInScope('http://a.b.x.test/'), true);
+  assert.equal(c.isInScope('https://notx.test/'), false);
+  assert.equal(c.isInScope('https://x.test.evil.test/'), false);
+});
+
+test('rejects non-http schemes and invalid URLs in every scope', () => {
+  for (const scope of ['origin', 'subdomains']) {
+    const c = crawler(scope);
+    assert.equal(c.isInScope('mailto:hi@x.test'), false);
+    assert.equal(c.isInScope('javascript:void(0)'), false);
+    assert.equal(c.isInScope('ftp://www.x.test/file'), false);
+    assert.equal(c.isInScope('not a url'), false);
+  }
+});